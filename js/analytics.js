@@ -0,0 +1,314 @@
+/* =====================================================================
+   analytics.js — ACP Landscaping
+   Purpose:
+   - Small event bus for visitor interactions (calls, estimate CTAs,
+     intro dismissals, gallery paging)
+   - Every event is emitted as a CustomEvent ("acp:analytics" on
+     document) and handed to pluggable sinks
+   - No sink receives anything until the visitor allows "analytics"
+     (js/consent.js); events from before that wait in memory for
+     this page only
+
+   Structure:
+   1) Config (script tag attributes)
+   2) Consent
+   3) Event shape
+   4) Sinks (console, beacon with batching + offline queue)
+   5) Bus
+   6) Automatic tracking (tel: / sms: / mailto:, [data-track])
+   7) Public API (window.ACP.analytics)
+
+   Usage (loaded in <head>, after js/consent.js):
+     <script src="/js/analytics.js" data-endpoint="/api/collect"></script>
+   - data-endpoint: where batches are POSTed with sendBeacon
+     (empty = no beacon sink)
+   - data-debug: log every event to the console (on by default on
+     localhost)
+
+   Emitting from other scripts:
+     window.ACP.analytics?.track("gallery_navigate", { index: 3 }, el)
+   el (optional) fills in cta + section.
+===================================================================== */
+
+(function () {
+  "use strict";
+
+  /* =========================================================
+     1) CONFIG
+  ========================================================= */
+  const script = document.currentScript;
+
+  const ENDPOINT = (script?.dataset.endpoint || "").trim();
+  const DEBUG =
+    !!script && "debug" in script.dataset
+      ? script.dataset.debug !== "false"
+      : /^(localhost|127\.0\.0\.1|)$/.test(window.location.hostname);
+
+  const QUEUE_KEY = "acp_analytics_queue";
+
+  const BATCH_SIZE = 10;       // send once this many events are waiting
+  const FLUSH_MS = 5000;       // ...or after this long
+  const MAX_QUEUED = 200;      // offline queue cap (oldest dropped)
+  const MAX_PENDING = 50;      // pre-consent events kept in memory
+
+  const EVENT_NAME = "acp:analytics";
+
+  // Storage can throw (privacy modes); tracking then just isn't persisted.
+  const storage = {
+    get(key) {
+      try {
+        return localStorage.getItem(key);
+      } catch (err) {
+        return null;
+      }
+    },
+    set(key, value) {
+      try {
+        localStorage.setItem(key, value);
+      } catch (err) {
+        /* not persisted */
+      }
+    },
+    remove(key) {
+      try {
+        localStorage.removeItem(key);
+      } catch (err) {
+        /* nothing to clear */
+      }
+    },
+  };
+
+  /* =========================================================
+     2) CONSENT
+     Owned by js/consent.js; without it nothing is ever sent.
+  ========================================================= */
+  let consent = window.ACP?.consent?.allows("analytics") ?? false;
+
+  /* =========================================================
+     3) EVENT SHAPE
+       { name, page, section, cta, time, ...data }
+  ========================================================= */
+  // "residential" / "home", for both URL styles.
+  const currentPage = () => {
+    const path = window.location.pathname
+      .replace(/\/index\.html?$/i, "/")
+      .replace(/\.html?$/i, "")
+      .replace(/\/$/, "");
+    return path.split("/").pop() || "home";
+  };
+
+  const sectionOf = (el) =>
+    el?.closest?.("[data-track-section]")?.dataset.trackSection ||
+    el?.closest?.("section[id]")?.id ||
+    (el?.closest?.("header") && "header") ||
+    (el?.closest?.("footer") && "footer") ||
+    null;
+
+  // data-cta, else the id, else the first class ("contact-btn").
+  const ctaOf = (el) =>
+    el?.dataset?.cta || el?.id || el?.classList?.[0] || null;
+
+  const createEvent = (name, data = {}, el = null) => ({
+    name,
+    page: currentPage(),
+    section: sectionOf(el),
+    cta: ctaOf(el),
+    time: new Date().toISOString(),
+    ...data,
+  });
+
+  /* =========================================================
+     4) SINKS
+     A sink is { name, handle(event), flush?(), clear?() }.
+  ========================================================= */
+  const consoleSink = () => ({
+    name: "console",
+    handle(event) {
+      console.info("[analytics]", event.name, event);
+    },
+  });
+
+  /**
+   * Batches events and POSTs them with navigator.sendBeacon.
+   * Batches that can't be sent (offline, beacon refused) are kept
+   * in localStorage and retried when the browser is back online or
+   * on the next page view.
+   */
+  const beaconSink = (endpoint) => {
+    let batch = [];
+    let timer = null;
+
+    const readQueue = () => {
+      try {
+        return JSON.parse(storage.get(QUEUE_KEY)) || [];
+      } catch (err) {
+        return [];
+      }
+    };
+
+    const writeQueue = (events) => {
+      if (!events.length) {
+        storage.remove(QUEUE_KEY);
+        return;
+      }
+
+      storage.set(QUEUE_KEY, JSON.stringify(events.slice(-MAX_QUEUED)));
+    };
+
+    const send = (events) => {
+      if (navigator.onLine === false || !navigator.sendBeacon) return false;
+
+      try {
+        const body = new Blob([JSON.stringify({ events })], {
+          type: "application/json",
+        });
+        return navigator.sendBeacon(endpoint, body);
+      } catch (err) {
+        return false;
+      }
+    };
+
+    const flush = () => {
+      clearTimeout(timer);
+      timer = null;
+
+      const events = [...readQueue(), ...batch];
+      batch = [];
+      if (!events.length) return;
+
+      writeQueue(send(events) ? [] : events);
+    };
+
+    const handle = (event) => {
+      batch.push(event);
+
+      if (batch.length >= BATCH_SIZE) flush();
+      else if (!timer) timer = setTimeout(flush, FLUSH_MS);
+    };
+
+    // Consent withdrawn: nothing waiting may be sent later.
+    const clear = () => {
+      clearTimeout(timer);
+      timer = null;
+      batch = [];
+      writeQueue([]);
+    };
+
+    return { name: "beacon", handle, flush, clear };
+  };
+
+  /* =========================================================
+     5) BUS
+  ========================================================= */
+  const sinks = new Set();
+  let pending = [];
+
+  const deliver = (event) => {
+    sinks.forEach((sink) => {
+      try {
+        sink.handle(event);
+      } catch (err) {
+        console.error(`[analytics] sink "${sink.name || "custom"}" failed:`, err);
+      }
+    });
+  };
+
+  const track = (name, data, el) => {
+    const event = createEvent(name, data, el);
+
+    document.dispatchEvent(new CustomEvent(EVENT_NAME, { detail: event }));
+
+    if (consent) {
+      deliver(event);
+    } else {
+      pending.push(event);
+      if (pending.length > MAX_PENDING) pending.shift();
+    }
+
+    return event;
+  };
+
+  const addSink = (sink) => {
+    sinks.add(sink);
+    if (consent) sink.flush?.();
+    return () => sinks.delete(sink);
+  };
+
+  const flush = () => {
+    if (consent) sinks.forEach((sink) => sink.flush?.());
+  };
+
+  // Declined: events waiting from before the choice are dropped too.
+  const syncConsent = () => {
+    const granted = window.ACP?.consent?.allows("analytics") ?? false;
+    const waiting = pending;
+    pending = [];
+
+    if (!granted) {
+      if (consent) sinks.forEach((sink) => sink.clear?.());
+      consent = false;
+      return;
+    }
+
+    const wasGranted = consent;
+    consent = true;
+    waiting.forEach(deliver);
+    if (!wasGranted) flush();
+  };
+
+  window.ACP?.consent?.subscribe(syncConsent);
+
+  if (DEBUG) addSink(consoleSink());
+  if (ENDPOINT) addSink(beaconSink(ENDPOINT));
+
+  // Leaving the page: last chance to send (beacons survive unload).
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") flush();
+  });
+  window.addEventListener("pagehide", flush);
+  window.addEventListener("online", flush);
+
+  /* =========================================================
+     6) AUTOMATIC TRACKING
+     - tel: / sms: / mailto: links -> "contact_click"
+     - any [data-track="name"] element -> that event on click
+  ========================================================= */
+  const CONTACT_METHODS = { "tel:": "call", "sms:": "text", "mailto:": "email" };
+
+  document.addEventListener(
+    "click",
+    (e) => {
+      const tagged = e.target.closest?.("[data-track]");
+      if (tagged) track(tagged.dataset.track, {}, tagged);
+
+      // Links that open a dialog (header "Contact Us") aren't a
+      // call yet; the dialog reports its own events.
+      const link = e.target.closest?.("a[href]");
+      if (!link || link.hasAttribute("aria-haspopup")) return;
+
+      const scheme = link.getAttribute("href").match(/^(tel|sms|mailto):/i);
+      if (!scheme) return;
+
+      const method = CONTACT_METHODS[scheme[0].toLowerCase()];
+      track("contact_click", { method }, link);
+    },
+    // Capture: recorded even if another handler stops the click.
+    true
+  );
+
+  /* =========================================================
+     7) PUBLIC API
+       track(name, data?, el?)   emit an event; returns it
+       addSink(sink)            returns remove()
+       hasConsent()
+       flush()                  send batched events now
+  ========================================================= */
+  window.ACP = window.ACP || {};
+  window.ACP.analytics = {
+    track,
+    addSink,
+    hasConsent: () => consent,
+    flush,
+    EVENT_NAME,
+  };
+})();
@@ -0,0 +1,202 @@
+/* =====================================================================
+   compare.js — ACP Landscaping
+   Purpose:
+   - Before / after comparison slider for transformation projects
+   - Draggable divider: mouse, touch and keyboard arrows
+   - Horizontal (side by side) or vertical (top / bottom) split
+   - Safe to embed as a slide inside a portfolio.js gallery
+
+   Markup:
+     <div class="compare" data-compare data-compare-orientation="vertical">
+       <img data-compare-before src="..." alt="Before: ..." />
+       <img data-compare-after src="..." alt="After: ..." />
+     </div>
+
+   Options (attributes on [data-compare]):
+   - data-compare-orientation: "horizontal" (default) | "vertical"
+   - data-compare-start: starting divider position in % (default 50)
+
+   A before photo that fails to load (or isn't uploaded yet) drops
+   the slider: the after photo is shown on its own.
+===================================================================== */
+
+(function () {
+  "use strict";
+
+  const KEY_STEP = 2;
+  const PAGE_STEP = 10;
+
+  const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+
+  /* =========================================================
+     1) SETUP ONE COMPARE ELEMENT
+  ========================================================= */
+  // Back to a plain after photo: no divider, labels or clipping.
+  // Dropping data-compare also tells galleries it's a normal slide again.
+  function showAfterOnly(el, before, after) {
+    el.dataset.compareReady = "fallback";
+    el.removeAttribute("data-compare");
+    el.classList.remove("compare", "compare--horizontal", "compare--vertical", "is-dragging");
+    el.style.removeProperty("--compare");
+    after.classList.remove("compare__img", "compare__img--after");
+
+    el.querySelectorAll(".compare__labels, .compare__handle").forEach((node) => node.remove());
+    before.remove();
+  }
+
+  function setupCompare(el) {
+    if (el.dataset.compareReady === "true") return;
+
+    const before = el.querySelector("[data-compare-before]");
+    const after = el.querySelector("[data-compare-after]");
+    if (!before || !after) return;
+
+    el.dataset.compareReady = "true";
+
+    const beforeFailed = () =>
+      before.complete && !before.naturalWidth && !!before.getAttribute("src");
+
+    if (beforeFailed()) {
+      showAfterOnly(el, before, after);
+      return;
+    }
+
+    before.addEventListener("error", () => showAfterOnly(el, before, after), { once: true });
+
+    const isVertical = el.dataset.compareOrientation === "vertical";
+    let position = clamp(Number(el.dataset.compareStart) || 50, 0, 100);
+
+    el.classList.add("compare", isVertical ? "compare--vertical" : "compare--horizontal");
+    before.classList.add("compare__img", "compare__img--before");
+    after.classList.add("compare__img", "compare__img--after");
+
+    // Labels are decorative; the slider carries the accessible name.
+    const labels = document.createElement("div");
+    labels.className = "compare__labels";
+    labels.setAttribute("aria-hidden", "true");
+    labels.innerHTML =
+      '<span class="compare__label compare__label--before">Before</span>' +
+      '<span class="compare__label compare__label--after">After</span>';
+    el.appendChild(labels);
+
+    /* -----------------------------
+       Divider handle (ARIA slider)
+    ------------------------------ */
+    const handle = document.createElement("div");
+    handle.className = "compare__handle";
+    handle.tabIndex = 0;
+    handle.setAttribute("role", "slider");
+    handle.setAttribute("aria-label", "Before and after divider");
+    handle.setAttribute("aria-orientation", isVertical ? "vertical" : "horizontal");
+    handle.setAttribute("aria-valuemin", "0");
+    handle.setAttribute("aria-valuemax", "100");
+    handle.innerHTML = '<span class="compare__knob" aria-hidden="true"></span>';
+    el.appendChild(handle);
+
+    function render() {
+      el.style.setProperty("--compare", `${position}%`);
+      handle.setAttribute("aria-valuenow", String(Math.round(position)));
+      handle.setAttribute(
+        "aria-valuetext",
+        `${Math.round(position)}% before, ${Math.round(100 - position)}% after`
+      );
+    }
+
+    function setPosition(next) {
+      position = clamp(next, 0, 100);
+      render();
+    }
+
+    /* -----------------------------
+       Pointer drag (mouse + touch + pen)
+       Pointer capture keeps the drag alive outside the element.
+    ------------------------------ */
+    let dragging = false;
+
+    function positionFromEvent(event) {
+      const rect = el.getBoundingClientRect();
+      return isVertical
+        ? ((event.clientY - rect.top) / (rect.height || 1)) * 100
+        : ((event.clientX - rect.left) / (rect.width || 1)) * 100;
+    }
+
+    el.addEventListener("pointerdown", (event) => {
+      if (event.button !== undefined && event.button !== 0) return;
+      if (el.dataset.compareReady !== "true") return;
+
+      dragging = true;
+      el.classList.add("is-dragging");
+      el.setPointerCapture?.(event.pointerId);
+      setPosition(positionFromEvent(event));
+    });
+
+    el.addEventListener("pointermove", (event) => {
+      if (!dragging) return;
+      setPosition(positionFromEvent(event));
+    });
+
+    const endDrag = () => {
+      dragging = false;
+      el.classList.remove("is-dragging");
+    };
+
+    el.addEventListener("pointerup", endDrag);
+    el.addEventListener("pointercancel", endDrag);
+
+    // Stop image ghost-dragging in desktop browsers.
+    el.addEventListener("dragstart", (event) => event.preventDefault());
+
+    /* -----------------------------
+       Keyboard
+       Handled keys don't bubble, so a parent gallery won't also
+       change slides on ArrowLeft / ArrowRight.
+    ------------------------------ */
+    handle.addEventListener("keydown", (event) => {
+      const decrease = isVertical ? "ArrowUp" : "ArrowLeft";
+      const increase = isVertical ? "ArrowDown" : "ArrowRight";
+
+      switch (event.key) {
+        case decrease:
+          setPosition(position - KEY_STEP);
+          break;
+        case increase:
+          setPosition(position + KEY_STEP);
+          break;
+        case "PageDown":
+          setPosition(position - PAGE_STEP);
+          break;
+        case "PageUp":
+          setPosition(position + PAGE_STEP);
+          break;
+        case "Home":
+          setPosition(0);
+          break;
+        case "End":
+          setPosition(100);
+          break;
+        default:
+          return;
+      }
+
+      event.preventDefault();
+      event.stopPropagation();
+    });
+
+    render();
+  }
+
+  /* =========================================================
+     2) INIT
+     mount() is exposed so scripts that insert markup later
+     (e.g. manifest-built gallery slides) can enhance it.
+  ========================================================= */
+  function mount(root = document) {
+    if (root.matches?.("[data-compare]")) setupCompare(root);
+    root.querySelectorAll("[data-compare]").forEach(setupCompare);
+  }
+
+  mount();
+
+  window.ACP = window.ACP || {};
+  window.ACP.compare = { mount };
+})();
@@ -0,0 +1,263 @@
+/* =====================================================================
+   components/checklist.js — ACP Landscaping
+   Checklist Typing Animation
+
+   - Triggers once when the checklist section scrolls into view
+   - Types each line sequentially (no overlap)
+   - The real text stays in the <li> (.sr-only); only an
+     aria-hidden visual copy is typed / counted
+   - Per item: data-count (count-up), data-count-duration,
+     data-style="fade", data-speed (ms per character)
+   - Includes fallbacks + more reliable IntersectionObserver settings
+   - Reduced motion (js/motion.js, live): shows instantly, and
+     a switch mid-animation completes the remaining lines
+
+   init(root = document)
+   Returns { destroy() }   stops the animation, restores the markup
+===================================================================== */
+
+import { createScope, emptyHandle, query } from "./lifecycle.js";
+
+export function init(root = document) {
+  const section = query(root, "#checklist");
+  if (!section) return emptyHandle();
+
+  const logo = section.querySelector(".checklist__logo");
+  const items = Array.from(section.querySelectorAll(".checklist__item"));
+  if (!logo || items.length === 0) return emptyHandle();
+
+  const scope = createScope();
+
+  // Accessibility: re-checked as it runs, so a live switch takes effect
+  const isReduced = () => window.ACP?.motion?.reduced() ?? false;
+
+  // Torn down mid-animation: lines stop where they are.
+  const stopped = () => scope.isDestroyed();
+
+    // Typing configuration (humanized)
+  const BASE_CHAR_DELAY_MS = 32;   // average per-character delay
+  const CHAR_JITTER_MS = 26;       // random +/- jitter (human variability)
+  const WORD_PAUSE_MS = 90;        // small pause occasionally at word boundaries
+  const PUNCT_PAUSE_MS = 140;      // pause after punctuation for realism
+  const LINE_PAUSE_MS = 260;       // pause between lines (lets user “read”)
+  const COUNT_DURATION_MS = 1100;  // default count-up length
+  const FADE_MS = 360;             // data-style="fade" length
+
+  /* --------------------------------------------------------
+     Split each item into:
+     - .sr-only text (what assistive tech + crawlers read)
+     - aria-hidden .checklist__typed (what gets animated)
+  -------------------------------------------------------- */
+  const lines = items.map((el) => {
+    const original = Array.from(el.childNodes);
+    const text = el.textContent.replace(/\s+/g, " ").trim();
+
+    const real = document.createElement("span");
+    real.className = "sr-only";
+    real.textContent = text;
+
+    const visual = document.createElement("span");
+    visual.className = "checklist__typed";
+    visual.setAttribute("aria-hidden", "true");
+
+    el.replaceChildren(real, visual);
+    return { el, text, visual, original };
+  });
+
+  // destroy() puts the markup back, ready for a fresh init().
+  scope.defer(() => {
+    logo.classList.remove("is-visible");
+    lines.forEach(({ el, original }) => {
+      el.replaceChildren(...original);
+      el.classList.remove("is-armed", "is-typing", "is-counting", "is-fading");
+    });
+  });
+
+
+  // Guard so the animation runs only once
+  let hasRun = false;
+
+    // Timing helper (promise-based sleep)
+  const sleep = (ms) => new Promise((resolve) => window.setTimeout(resolve, ms));
+
+    /**
+   * Types text into an element with human-like pacing.
+   * - Adds variability per character
+   * - Adds subtle pauses for spaces and punctuation
+   * - Arms the checkmark just before typing begins
+   */
+  const typeLine = async ({ el, text, visual }) => {
+    const charDelay = Number(el.dataset.speed) || BASE_CHAR_DELAY_MS;
+
+    // “Arm” the check badge right before typing begins
+    el.classList.add("is-armed");
+    await sleep(110);
+
+    // Cursor on while typing
+    el.classList.add("is-typing");
+    visual.textContent = "";
+
+    for (let i = 0; i < text.length; i += 1) {
+      // Motion switched off mid-line: finish it at once
+      if (isReduced() || stopped()) break;
+
+      const ch = text[i];
+      visual.textContent += ch;
+
+      // Base delay with jitter (human variability)
+      const jitter = (Math.random() * CHAR_JITTER_MS * 2) - CHAR_JITTER_MS; // -jitter..+jitter
+      let delay = Math.max(10, charDelay + jitter);
+
+      // Add natural pauses for punctuation and some word breaks
+      if (/[,.!?:;]/.test(ch)) delay += PUNCT_PAUSE_MS;
+      if (ch === " " && Math.random() < 0.22) delay += WORD_PAUSE_MS;
+
+      // Occasional micro-hesitation (rare, keeps it organic)
+      if (Math.random() < 0.03) delay += 120;
+
+      await sleep(delay);
+    }
+
+    visual.textContent = text;
+    el.classList.remove("is-typing");
+  };
+
+  // Instant version of any line (reduced motion).
+  const showLine = ({ el, text, visual }) => {
+    visual.textContent = text;
+    el.classList.remove("is-typing", "is-counting");
+    el.classList.add("is-armed", "is-fading");
+  };
+
+  /**
+   * Count-up: the whole line appears, and its first number ticks
+   * from 0 to data-count (easeOutCubic).
+   */
+  const countLine = async ({ el, text, visual }) => {
+    const target = Number(el.dataset.count);
+    const match = text.match(/\d[\d,]*/);
+    if (!match || !Number.isFinite(target)) {
+      await fadeLine({ el, text, visual });
+      return;
+    }
+
+    const before = text.slice(0, match.index);
+    const after = text.slice(match.index + match[0].length);
+    const duration = Number(el.dataset.countDuration) || COUNT_DURATION_MS;
+
+    el.classList.add("is-armed", "is-counting");
+
+    await new Promise((resolve) => {
+      const start = performance.now();
+
+      const frame = (now) => {
+        const t = isReduced() ? 1 : Math.min(1, (now - start) / duration);
+        const eased = 1 - Math.pow(1 - t, 3);
+        const value = Math.round(target * eased).toLocaleString("en-US");
+
+        visual.textContent = `${before}${value}${after}`;
+
+        if (t < 1 && !stopped()) window.requestAnimationFrame(frame);
+        else resolve();
+      };
+
+      window.requestAnimationFrame(frame);
+    });
+
+    el.classList.remove("is-counting");
+  };
+
+  // data-style="fade": the full line fades in (CSS transition).
+  const fadeLine = async ({ el, text, visual }) => {
+    visual.textContent = text;
+    el.classList.add("is-armed", "is-fading");
+    await sleep(FADE_MS);
+  };
+
+  const animateLine = (line) => {
+    if (line.el.dataset.count) return countLine(line);
+    if (line.el.dataset.style === "fade") return fadeLine(line);
+    return typeLine(line);
+  };
+
+  /**
+   * Runs the full checklist animation:
+   * 1) Fade in the logo
+   * 2) Sequentially type each list item
+   */
+  const runChecklist = async () => {
+    if (hasRun) return;
+    hasRun = true;
+
+    // Logo fade-in (CSS transition is tied to this class)
+    logo.classList.add("is-visible");
+
+    // Sequential: each line waits for the previous to finish.
+    // Reduced motion (from the start or switched on mid-way)
+    // shows the remaining lines instantly.
+    for (const line of lines) {
+      if (stopped()) return;
+
+      if (isReduced()) {
+        showLine(line);
+        continue;
+      }
+
+      await animateLine(line);
+      await sleep(LINE_PAUSE_MS);
+    }
+  };
+
+  /**
+   * Small helper to detect if the section is already in view
+   * (e.g., on refresh, anchor navigation, or fast scroll).
+   */
+  const isInViewNow = (vh = window.visualViewport?.height || window.innerHeight || 1) => {
+    const rect = section.getBoundingClientRect();
+    return rect.top < vh * 0.85 && rect.bottom > vh * 0.15;
+  };
+
+  // If already in view on load, run immediately
+  if (isInViewNow()) {
+    runChecklist();
+    return { destroy: scope.destroy };
+  }
+
+  /* --------------------------------------------------------
+     Trigger using IntersectionObserver (preferred)
+     - threshold lowered for reliability
+     - rootMargin triggers slightly earlier for a “premium” feel
+  -------------------------------------------------------- */
+  if ("IntersectionObserver" in window) {
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          runChecklist();
+          observer.disconnect();
+        }
+      },
+      {
+        // Trigger a bit before the section is fully visible
+        rootMargin: "0px 0px -15% 0px",
+        threshold: 0.12,
+      }
+    );
+
+    observer.observe(section);
+    scope.defer(() => observer.disconnect());
+    return { destroy: scope.destroy };
+  }
+
+  /* --------------------------------------------------------
+     Fallback (older browsers): run on scroll once section enters view
+  -------------------------------------------------------- */
+  const unsubscribe = window.ACP?.frame?.subscribe((view) => {
+    if (hasRun || !isInViewNow(view.visualHeight)) return;
+
+    unsubscribe();
+    return runChecklist;
+  });
+  scope.defer(unsubscribe);
+
+  return { destroy: scope.destroy };
+}
@@ -0,0 +1,18 @@
+/* =====================================================================
+   components/footer-year.js — ACP Landscaping
+   Footer Year (Auto)
+
+   - Keeps copyright current
+
+   init(root = document)
+   Returns { destroy() }
+===================================================================== */
+
+import { emptyHandle, query } from "./lifecycle.js";
+
+export function init(root = document) {
+  const yearEl = query(root, "#year");
+  if (yearEl) yearEl.textContent = String(new Date().getFullYear());
+
+  return emptyHandle();
+}
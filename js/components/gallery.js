@@ -0,0 +1,1227 @@
+/* =====================================================================
+   components/gallery.js — ACP Landscaping
+   Purpose:
+   - Reusable portfolio gallery slider
+   - Supports previous / next buttons and dot navigation
+   - WAI-ARIA carousel semantics with screen-reader announcements
+   - Designed for commercial.html and residential.html
+   - Fullscreen lightbox with zoom + pan for any slide
+   - Slides can be hand-written or built from a project manifest:
+       <div data-gallery
+            data-gallery-manifest="data/portfolio.json"
+            data-gallery-type="residential">
+     Manifest paths (and image paths inside it) are relative to the
+     site root, so both "/residential/" and "residential.html" work.
+   - Manifest images with a "before" path become before/after
+     compare slides (needs js/compare.js on the page).
+   - Optional autoplay via data-gallery-autoplay (see section 4).
+   - Images load lazily (data-src) and broken ones drop out of the
+     rotation; see "IMAGE LOADING" in section 6.
+   - The active slide is mirrored in the URL hash so it can be
+     shared, e.g. #residential-gallery/backyard-patio-fire-pit
+     (see section 5).
+
+   init(root = document, options)
+     root               a container, or the [data-gallery] itself
+     options.siteRoot   base for manifest + image paths
+                        (default: the site root this file is in)
+   Returns { destroy() }
+   The lightbox is shared by every gallery on the page.
+===================================================================== */
+
+import { createScope, emptyHandle, queryAll } from "./lifecycle.js";
+
+/* =========================================================
+   1) SITE ROOT
+   Manifest + image paths resolve against it (override with
+   options.siteRoot).
+========================================================= */
+const SITE_ROOT = new URL("../../", import.meta.url);
+
+/* =========================================================
+   2) PROJECT MANIFEST
+   - Fetched once per URL, even with several galleries (and
+     the portfolio browser, which imports loadManifest).
+   - One slide per project image.
+========================================================= */
+const manifestCache = new Map();
+
+export function loadManifest(path, siteRoot) {
+  const url = new URL(path, siteRoot).href;
+
+  if (!manifestCache.has(url)) {
+    manifestCache.set(
+      url,
+      fetch(url)
+        .then((res) => {
+          if (!res.ok) throw new Error(`${res.status} loading ${url}`);
+          return res.json();
+        })
+        .catch((err) => {
+          console.error("[portfolio] could not load manifest:", err);
+          return null;
+        })
+    );
+  }
+
+  return manifestCache.get(url);
+}
+
+function createSlide(project, image, siteRoot) {
+  const slide = document.createElement("figure");
+  slide.className = "portfolio-gallery__slide";
+  slide.dataset.project = project.id;
+
+  // data-src: the gallery requests it when the slide is near view.
+  const img = document.createElement("img");
+  img.dataset.src = new URL(image.src, siteRoot).href;
+  img.alt = image.alt || project.title || "";
+  img.decoding = "async";
+
+  // "before" turns the slide into a before/after compare (js/compare.js).
+  if (image.before) {
+    const compare = document.createElement("div");
+    compare.setAttribute("data-compare", "");
+    if (image.orientation) compare.dataset.compareOrientation = image.orientation;
+
+    const beforeImg = document.createElement("img");
+    beforeImg.dataset.src = new URL(image.before, siteRoot).href;
+    beforeImg.alt = image.beforeAlt || `Before: ${img.alt}`;
+    beforeImg.decoding = "async";
+    beforeImg.setAttribute("data-compare-before", "");
+
+    img.setAttribute("data-compare-after", "");
+    compare.append(beforeImg, img);
+    slide.appendChild(compare);
+  } else {
+    slide.appendChild(img);
+  }
+
+  const caption = document.createElement("figcaption");
+  caption.className = "portfolio-gallery__caption";
+
+  const title = document.createElement("span");
+  title.className = "portfolio-gallery__caption-title";
+  title.textContent = project.caption || project.title || "";
+  caption.appendChild(title);
+
+  const meta = [project.town, (project.services || []).join(", ")]
+    .filter(Boolean)
+    .join(" • ");
+
+  if (meta) {
+    const metaEl = document.createElement("span");
+    metaEl.className = "portfolio-gallery__caption-meta";
+    metaEl.textContent = meta;
+    caption.appendChild(metaEl);
+  }
+
+  slide.appendChild(caption);
+  return slide;
+}
+
+function createDot(index) {
+  const dot = document.createElement("button");
+  dot.className = "portfolio-gallery__dot";
+  dot.type = "button";
+  dot.setAttribute("aria-label", `Go to image ${index + 1}`);
+  return dot;
+}
+
+/**
+ * Replaces the gallery's slides + dots with the manifest's projects.
+ * data-gallery-type limits it to "residential" or "commercial" work;
+ * with no projects of that type the static slides stay.
+ */
+function buildFromManifest(gallery, manifest, siteRoot) {
+  const track = gallery.querySelector("[data-gallery-track]");
+  const dotsWrap = gallery.querySelector("[data-gallery-dots]");
+  if (!track) return;
+
+  const type = gallery.dataset.galleryType;
+  const projects = (manifest.projects || []).filter(
+    (project) => !type || project.propertyType === type
+  );
+  if (projects.length === 0) return;
+
+  track.innerHTML = "";
+  if (dotsWrap) dotsWrap.innerHTML = "";
+
+  projects.forEach((project) => {
+    (project.images || []).forEach((image) => {
+      track.appendChild(createSlide(project, image, siteRoot));
+      if (dotsWrap) dotsWrap.appendChild(createDot(dotsWrap.children.length));
+    });
+  });
+
+  window.ACP?.compare?.mount(track);
+}
+
+/* =========================================================
+   3) LIGHTBOX
+   - One fullscreen viewer shared by every gallery on the page.
+   - Wheel / pinch / double-tap zoom with drag panning.
+   - Prev / next drive the owning gallery, so both stay in sync.
+========================================================= */
+const lightbox = (() => {
+  const MIN_SCALE = 1;
+  const MAX_SCALE = 4;
+  const DOUBLE_TAP_SCALE = 2.5;
+  const DOUBLE_TAP_MS = 300;
+
+  let root = null;
+  let stage = null;
+  let img = null;
+  let caption = null;
+  let counter = null;
+
+  // The gallery controller currently shown + the slide that opened it.
+  let owner = null;
+  let opener = null;
+
+  let scale = 1;
+  let tx = 0;
+  let ty = 0;
+
+  const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+
+  function build() {
+    if (root) return;
+
+    root = document.createElement("div");
+    root.className = "lightbox";
+    root.hidden = true;
+    root.setAttribute("role", "dialog");
+    root.setAttribute("aria-modal", "true");
+    root.setAttribute("aria-label", "Project photo viewer");
+    root.innerHTML = `
+      <div class="lightbox__stage">
+        <img class="lightbox__img" alt="" draggable="false" />
+      </div>
+      <div class="lightbox__bar">
+        <p class="lightbox__caption"></p>
+        <p class="lightbox__counter" aria-live="polite"></p>
+      </div>
+      <button class="lightbox__btn lightbox__btn--close" type="button" aria-label="Close viewer">&times;</button>
+      <button class="lightbox__btn lightbox__btn--prev" type="button" aria-label="Previous image">‹</button>
+      <button class="lightbox__btn lightbox__btn--next" type="button" aria-label="Next image">›</button>`;
+    document.body.appendChild(root);
+
+    stage = root.querySelector(".lightbox__stage");
+    img = root.querySelector(".lightbox__img");
+    caption = root.querySelector(".lightbox__caption");
+    counter = root.querySelector(".lightbox__counter");
+
+    root.querySelector(".lightbox__btn--close").addEventListener("click", close);
+    root.querySelector(".lightbox__btn--prev").addEventListener("click", () => step(-1));
+    root.querySelector(".lightbox__btn--next").addEventListener("click", () => step(1));
+
+    root.addEventListener("keydown", onKeydown);
+    stage.addEventListener("wheel", onWheel, { passive: false });
+    stage.addEventListener("pointerdown", onPointerDown);
+    stage.addEventListener("pointermove", onPointerMove);
+    stage.addEventListener("pointerup", onPointerUp);
+    stage.addEventListener("pointercancel", onPointerUp);
+  }
+
+  /* -----------------------------
+     Zoom + pan math
+  ------------------------------ */
+
+  // Keeps the zoomed image covering the stage (no empty gutters).
+  function clampPan() {
+    const maxX = Math.max(0, (img.offsetWidth * scale - stage.clientWidth) / 2);
+    const maxY = Math.max(0, (img.offsetHeight * scale - stage.clientHeight) / 2);
+    tx = clamp(tx, -maxX, maxX);
+    ty = clamp(ty, -maxY, maxY);
+  }
+
+  function applyTransform() {
+    clampPan();
+    img.style.transform = `translate(${tx}px, ${ty}px) scale(${scale})`;
+    root.classList.toggle("is-zoomed", scale > MIN_SCALE);
+  }
+
+  /**
+   * Zooms so the point under (clientX, clientY) stays put.
+   */
+  function zoomTo(nextScale, clientX, clientY) {
+    const next = clamp(nextScale, MIN_SCALE, MAX_SCALE);
+    const rect = stage.getBoundingClientRect();
+
+    // Point relative to the stage centre (the transform origin).
+    const px = clientX - (rect.left + rect.width / 2);
+    const py = clientY - (rect.top + rect.height / 2);
+
+    tx = px - (px - tx) * (next / scale);
+    ty = py - (py - ty) * (next / scale);
+    scale = next;
+
+    if (scale === MIN_SCALE) {
+      tx = 0;
+      ty = 0;
+    }
+
+    applyTransform();
+  }
+
+  function zoomAtCenter(nextScale) {
+    const rect = stage.getBoundingClientRect();
+    zoomTo(nextScale, rect.left + rect.width / 2, rect.top + rect.height / 2);
+  }
+
+  function resetZoom() {
+    scale = MIN_SCALE;
+    tx = 0;
+    ty = 0;
+    applyTransform();
+  }
+
+  /* -----------------------------
+     Wheel zoom (desktop / trackpad)
+  ------------------------------ */
+  function onWheel(event) {
+    event.preventDefault();
+    const factor = Math.exp(-event.deltaY * 0.0025);
+    zoomTo(scale * factor, event.clientX, event.clientY);
+  }
+
+  /* -----------------------------
+     Pointers: pan, pinch, double-tap, swipe
+  ------------------------------ */
+  const pointers = new Map();
+  let pinchStartDistance = 0;
+  let pinchStartScale = 1;
+  let swipeStartX = null;
+  let lastTap = { time: 0, x: 0, y: 0 };
+
+  const pinchDistance = () => {
+    const [a, b] = Array.from(pointers.values());
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  };
+
+  const pinchCenter = () => {
+    const [a, b] = Array.from(pointers.values());
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  };
+
+  function onPointerDown(event) {
+    stage.setPointerCapture?.(event.pointerId);
+    pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+    if (pointers.size === 2) {
+      pinchStartDistance = pinchDistance();
+      pinchStartScale = scale;
+      swipeStartX = null;
+    } else if (pointers.size === 1) {
+      swipeStartX = event.clientX;
+    }
+  }
+
+  function onPointerMove(event) {
+    const prev = pointers.get(event.pointerId);
+    if (!prev) return;
+
+    const point = { x: event.clientX, y: event.clientY };
+    pointers.set(event.pointerId, point);
+
+    if (pointers.size === 2 && pinchStartDistance > 0) {
+      const center = pinchCenter();
+      zoomTo(pinchStartScale * (pinchDistance() / pinchStartDistance), center.x, center.y);
+      return;
+    }
+
+    // One pointer on a zoomed image = pan.
+    if (pointers.size === 1 && scale > MIN_SCALE) {
+      tx += point.x - prev.x;
+      ty += point.y - prev.y;
+      applyTransform();
+    }
+  }
+
+  function onPointerUp(event) {
+    if (!pointers.has(event.pointerId)) return;
+    pointers.delete(event.pointerId);
+
+    if (pointers.size > 0) return;
+    pinchStartDistance = 0;
+
+    // Unzoomed horizontal swipe = previous / next.
+    if (swipeStartX != null && scale === MIN_SCALE) {
+      const deltaX = event.clientX - swipeStartX;
+      swipeStartX = null;
+      if (Math.abs(deltaX) >= 50) {
+        step(deltaX < 0 ? 1 : -1);
+        return;
+      }
+    }
+
+    // Double-tap / double-click toggles zoom at that point.
+    const now = Date.now();
+    const isDoubleTap =
+      now - lastTap.time < DOUBLE_TAP_MS &&
+      Math.hypot(event.clientX - lastTap.x, event.clientY - lastTap.y) < 30;
+
+    if (isDoubleTap) {
+      lastTap = { time: 0, x: 0, y: 0 };
+      if (scale > MIN_SCALE) {
+        resetZoom();
+      } else {
+        zoomTo(DOUBLE_TAP_SCALE, event.clientX, event.clientY);
+      }
+      return;
+    }
+
+    lastTap = { time: now, x: event.clientX, y: event.clientY };
+  }
+
+  /* -----------------------------
+     Keyboard + focus trap
+  ------------------------------ */
+  function onKeydown(event) {
+    switch (event.key) {
+      case "Escape":
+        close();
+        break;
+      case "ArrowLeft":
+        step(-1);
+        break;
+      case "ArrowRight":
+        step(1);
+        break;
+      case "+":
+      case "=":
+        zoomAtCenter(scale * 1.5);
+        break;
+      case "-":
+        zoomAtCenter(scale / 1.5);
+        break;
+      case "0":
+        resetZoom();
+        break;
+      case "Tab": {
+        const buttons = Array.from(root.querySelectorAll("button"));
+        const first = buttons[0];
+        const last = buttons[buttons.length - 1];
+        if (event.shiftKey && document.activeElement === first) {
+          last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+          first.focus();
+        } else {
+          return;
+        }
+        break;
+      }
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    // Keep arrow keys from also reaching the gallery underneath.
+    event.stopPropagation();
+  }
+
+  /* -----------------------------
+     Show / navigate / close
+  ------------------------------ */
+  function show() {
+    const slide = owner.getSlides()[owner.getIndex()];
+    const slideImg =
+      slide?.querySelector("[data-compare-after]") || slide?.querySelector("img");
+    if (!slideImg) return;
+
+    img.src = slideImg.currentSrc || slideImg.src || slideImg.dataset.src;
+    img.alt = slideImg.alt;
+
+    const slideCaption = slide.querySelector("figcaption");
+    caption.textContent = slideCaption ? slideCaption.textContent.trim() : slideImg.alt;
+    counter.textContent = `${owner.getIndex() + 1} / ${owner.getSlides().length}`;
+
+    resetZoom();
+  }
+
+  function step(direction) {
+    if (!owner) return;
+    owner.goTo(owner.getIndex() + direction, { via: "lightbox" });
+  }
+
+  function open(controller, slide) {
+    build();
+
+    owner = controller;
+    opener = slide;
+
+    root.hidden = false;
+    document.documentElement.classList.add("lightbox-open");
+    show();
+
+    root.querySelector(".lightbox__btn--close").focus();
+  }
+
+  function close() {
+    if (!root || root.hidden) return;
+
+    root.hidden = true;
+    document.documentElement.classList.remove("lightbox-open");
+    pointers.clear();
+
+    // Return focus to the slide now showing (it may differ from the opener).
+    const current = owner.getSlides()[owner.getIndex()] || opener;
+    owner = null;
+    opener = null;
+    current?.focus();
+  }
+
+  /**
+   * Called by galleries after every render so the viewer follows
+   * changes made from the gallery side.
+   */
+  function sync(controller) {
+    if (root && !root.hidden && owner === controller) show();
+  }
+
+  const isOpen = () => !!root && !root.hidden;
+
+  // A gallery being destroyed takes the viewer down with it.
+  function detach(controller) {
+    if (owner === controller) close();
+  }
+
+  return { open, close, sync, isOpen, detach };
+})();
+
+/* =========================================================
+   4) AUTOPLAY (opt-in)
+     <div data-gallery
+          data-gallery-autoplay="6000"      interval in ms (empty = 5000)
+          data-gallery-pause-hover="false"  keep playing under the mouse
+          data-gallery-pause-focus="false"  keep playing while focused
+          data-gallery-loop="false">        stop on the last slide
+   - Also pauses off-screen, in a hidden tab and while the
+     lightbox is open; never runs with reduced motion
+     (js/motion.js, follows live changes).
+   - The gallery calls restart() after every render, so any
+     manual navigation gives the new slide a full interval.
+========================================================= */
+const DEFAULT_INTERVAL = 5000;
+const MIN_INTERVAL = 2000;
+
+function createAutoplay(gallery, controller, scope) {
+  const options = gallery.dataset;
+  if (!("galleryAutoplay" in options)) return null;
+
+  const { signal } = scope;
+
+  const interval = Math.max(
+    Number(options.galleryAutoplay) || DEFAULT_INTERVAL,
+    MIN_INTERVAL
+  );
+  const loop = options.galleryLoop !== "false";
+  const pauseOnHover = options.galleryPauseHover !== "false";
+  const pauseOnFocus = options.galleryPauseFocus !== "false";
+
+  // Every reason playback is held right now; it only runs when empty.
+  const holds = new Set();
+  let timer = null;
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "portfolio-gallery__autoplay";
+  gallery.appendChild(button);
+
+  scope.defer(() => {
+    clearTimeout(timer);
+    button.remove();
+    gallery.classList.remove("is-autoplaying");
+  });
+
+  function render() {
+    // "user" / "end" are the states the button reflects; the rest are temporary.
+    const stopped = holds.has("user") || holds.has("end");
+
+    button.hidden = holds.has("motion");
+    button.classList.toggle("is-paused", stopped);
+    button.setAttribute("aria-label", stopped ? "Play slideshow" : "Pause slideshow");
+    button.textContent = stopped ? "▶" : "❚❚";
+
+    gallery.classList.toggle("is-autoplaying", holds.size === 0);
+  }
+
+  function restart() {
+    clearTimeout(timer);
+    timer = holds.size || scope.isDestroyed() ? null : setTimeout(advance, interval);
+  }
+
+  function advance() {
+    if (lightbox.isOpen()) {
+      restart();
+      return;
+    }
+
+    const last = controller.getSlides().length - 1;
+
+    if (!loop && controller.getIndex() >= last) {
+      hold("end");
+      return;
+    }
+
+    controller.goTo(controller.getIndex() + 1, { silent: true, auto: true });
+  }
+
+  function hold(reason) {
+    holds.add(reason);
+    render();
+    restart();
+  }
+
+  function release(reason) {
+    holds.delete(reason);
+    render();
+    restart();
+  }
+
+  /* -----------------------------
+     Play / pause control
+  ------------------------------ */
+  const onButtonClick = () => {
+    if (!holds.has("user") && !holds.has("end")) {
+      hold("user");
+      return;
+    }
+
+    holds.delete("user");
+
+    // Stopped on the last slide: play again from the start.
+    if (holds.has("end")) {
+      holds.delete("end");
+      render();
+      controller.goTo(0);
+      return;
+    }
+
+    release("user");
+  };
+
+  button.addEventListener("click", onButtonClick, { signal });
+
+  /* -----------------------------
+     Hover + focus
+     Focus on the play / pause button itself doesn't count,
+     otherwise pressing "play" would hold playback.
+  ------------------------------ */
+  if (pauseOnHover) {
+    gallery.addEventListener("mouseenter", () => hold("hover"), { signal });
+    gallery.addEventListener("mouseleave", () => release("hover"), { signal });
+  }
+
+  if (pauseOnFocus) {
+    const onFocusIn = (event) => {
+      if (event.target === button) release("focus");
+      else hold("focus");
+    };
+
+    const onFocusOut = (event) => {
+      if (!gallery.contains(event.relatedTarget)) release("focus");
+    };
+
+    gallery.addEventListener("focusin", onFocusIn, { signal });
+    gallery.addEventListener("focusout", onFocusOut, { signal });
+  }
+
+  /* -----------------------------
+     Visibility (viewport + tab) and reduced motion
+  ------------------------------ */
+  if ("IntersectionObserver" in window) {
+    const observer = new IntersectionObserver(
+      ([entry]) => (entry.isIntersecting ? release("offscreen") : hold("offscreen")),
+      { threshold: 0.25 }
+    );
+    observer.observe(gallery);
+    scope.defer(() => observer.disconnect());
+  }
+
+  const syncPageVisibility = () =>
+    document.hidden ? hold("hidden") : release("hidden");
+
+  const syncMotion = (reduced) => (reduced ? hold("motion") : release("motion"));
+
+  document.addEventListener("visibilitychange", syncPageVisibility, { signal });
+  scope.defer(window.ACP?.motion?.subscribe(syncMotion));
+
+  syncPageVisibility();
+  syncMotion(window.ACP?.motion?.reduced() ?? false);
+
+  return { restart };
+}
+
+/* =========================================================
+   5) URL STATE (deep links + back / forward)
+     #<gallery id>/<project id>   manifest slides
+     #<gallery id>/<n>            any slide, 1-based
+   - Gallery id: the element's id, else "<type>-gallery".
+   - data-gallery-history="push" makes every manual step a
+     history entry; the default "replace" keeps one entry.
+     Autoplay never writes the URL: only slides the visitor
+     picked end up in a reloaded or shared link.
+   - history.state keeps every gallery's position, so several
+     galleries on one page restore independently.
+========================================================= */
+const usedGalleryIds = new Set();
+
+function galleryIdFor(gallery) {
+  const base = gallery.id || `${gallery.dataset.galleryType || "portfolio"}-gallery`;
+  let id = base;
+
+  for (let n = 2; usedGalleryIds.has(id); n += 1) id = `${base}-${n}`;
+  usedGalleryIds.add(id);
+
+  return id;
+}
+
+function createUrlState(gallery, controller, scope) {
+  const id = galleryIdFor(gallery);
+  scope.defer(() => usedGalleryIds.delete(id));
+
+  const pushSteps = gallery.dataset.galleryHistory === "push";
+
+  // True while applying a URL, so the resulting render doesn't write one.
+  let applying = false;
+  let lastSegment = null;
+
+  // Project id for the first image of a project, otherwise its number.
+  function segmentFor(index) {
+    const slides = controller.getSlides();
+    const project = slides[index]?.dataset.project;
+    const firstOfProject =
+      project && slides.findIndex((s) => s.dataset.project === project) === index;
+
+    return firstOfProject ? project : String(index + 1);
+  }
+
+  function indexFor(segment) {
+    const slides = controller.getSlides();
+
+    if (/^\d+$/.test(segment)) {
+      const index = Number(segment) - 1;
+      return index >= 0 && index < slides.length ? index : -1;
+    }
+
+    return slides.findIndex((s) => s.dataset.project === segment);
+  }
+
+  function segmentFromHash() {
+    const hash = decodeURIComponent(window.location.hash.slice(1));
+    const prefix = `${id}/`;
+    return hash.startsWith(prefix) ? hash.slice(prefix.length) : null;
+  }
+
+  function apply(segment, options) {
+    const index = segment === null ? 0 : indexFor(segment);
+    if (index === -1) return false;
+
+    lastSegment = segment;
+    applying = true;
+    controller.goTo(index, options);
+    applying = false;
+    return true;
+  }
+
+  /**
+   * Called by the gallery after every render.
+   * replace: true for steps that shouldn't become history entries.
+   * auto: true for autoplay steps, which aren't recorded at all.
+   */
+  function record({ replace = false, auto = false } = {}) {
+    if (applying || auto) return;
+
+    const segment = segmentFor(controller.getIndex());
+    if (segment === lastSegment) return;
+    lastSegment = segment;
+
+    const state = {
+      ...window.history.state,
+      acpGalleries: { ...window.history.state?.acpGalleries, [id]: segment },
+    };
+    const method = pushSteps && !replace ? "pushState" : "replaceState";
+
+    window.history[method](state, "", `#${encodeURIComponent(id)}/${encodeURIComponent(segment)}`);
+  }
+
+  // A reload or back / forward puts the page where it was by itself.
+  function restoresScroll() {
+    const type = window.performance?.getEntriesByType?.("navigation")[0]?.type;
+    return type === "reload" || type === "back_forward";
+  }
+
+  // Initial load: following a link straight to a slide also
+  // scrolls to it.
+  function restore() {
+    const segment = segmentFromHash();
+    if (segment === null) {
+      lastSegment = segmentFor(controller.getIndex());
+      return;
+    }
+
+    if (apply(segment, { silent: true }) && !restoresScroll()) {
+      gallery.scrollIntoView({ block: "center" });
+    }
+  }
+
+  // Back / forward (state) and hand-edited hashes (no state).
+  const onPopState = (event) => {
+    const saved = event.state?.acpGalleries?.[id];
+    apply(saved ?? segmentFromHash());
+  };
+
+  const onHashChange = () => {
+    const segment = segmentFromHash();
+    if (segment !== null && segment !== lastSegment) apply(segment);
+  };
+
+  window.addEventListener("popstate", onPopState, { signal: scope.signal });
+  window.addEventListener("hashchange", onHashChange, { signal: scope.signal });
+
+  return { id, record, restore };
+}
+
+/* =========================================================
+   6) GALLERY SETUP
+========================================================= */
+// Numbers the generated track ids (aria-controls).
+let galleryCount = 0;
+
+/**
+ * Wires up one gallery; returns its destroy function (or null
+ * when there's nothing to set up).
+ */
+function setupGallery(gallery) {
+  const track = gallery.querySelector("[data-gallery-track]");
+  const prevBtn = gallery.querySelector("[data-gallery-prev]");
+  const nextBtn = gallery.querySelector("[data-gallery-next]");
+  const dotsWrap = gallery.querySelector("[data-gallery-dots]");
+
+  if (!track) return null;
+
+  // Mutable: slides with broken images are spliced out (see IMAGE LOADING).
+  const slides = Array.from(track.children);
+  const dots = dotsWrap ? Array.from(dotsWrap.children) : [];
+
+  if (!slides.length) return null;
+
+  const scope = createScope();
+  const { signal } = scope;
+
+  let currentIndex = 0;
+
+  /* ---------------------------------------------------------
+     CAROUSEL SEMANTICS (WAI-ARIA carousel pattern)
+     - Region + "carousel" / "slide" role descriptions
+     - Off-screen slides are aria-hidden + inert, so they leave
+       the tab and reading order
+     - Changes are announced through a polite live region,
+       except while autoplay is rotating
+  --------------------------------------------------------- */
+  galleryCount += 1;
+  track.id = track.id || `portfolio-gallery-track-${galleryCount}`;
+
+  gallery.setAttribute("role", "region");
+  gallery.setAttribute("aria-roledescription", "carousel");
+
+  [prevBtn, nextBtn].forEach((btn) => btn?.setAttribute("aria-controls", track.id));
+
+  slides.forEach((slide) => {
+    slide.setAttribute("role", "group");
+    slide.setAttribute("aria-roledescription", "slide");
+  });
+
+  if (dotsWrap) {
+    dotsWrap.setAttribute("role", "group");
+    dotsWrap.setAttribute("aria-label", "Choose a slide");
+  }
+
+  const status = document.createElement("div");
+  status.className = "sr-only";
+  status.setAttribute("aria-live", "polite");
+  status.setAttribute("aria-atomic", "true");
+  gallery.appendChild(status);
+  scope.defer(() => status.remove());
+
+  function slideName(slide) {
+    const title = slide.querySelector(".portfolio-gallery__caption-title");
+    return title ? title.textContent.trim() : slide.querySelector("img")?.alt || "";
+  }
+
+  function announce() {
+    const name = slideName(slides[currentIndex]);
+    status.textContent =
+      `Slide ${currentIndex + 1} of ${slides.length}` + (name ? `: ${name}` : "");
+  }
+
+  /* ---------------------------------------------------------
+     RENDER ACTIVE SLIDE
+     options.silent: skip the announcement (first paint, autoplay)
+     options.replace / options.auto: see URL STATE
+     options.via: what the visitor used (button, dot, key, swipe,
+       lightbox); reported as a "gallery_navigate" analytics event
+  --------------------------------------------------------- */
+  function renderGallery(options = {}) {
+    track.style.transform = `translateX(-${currentIndex * 100}%)`;
+
+    slides.forEach((slide, index) => {
+      const isActive = index === currentIndex;
+
+      slide.classList.toggle("is-active", isActive);
+      slide.setAttribute("aria-label", `Slide ${index + 1} of ${slides.length}`);
+      slide.setAttribute("aria-hidden", String(!isActive));
+      slide.inert = !isActive;
+    });
+
+    dots.forEach((dot, index) => {
+      const isActive = index === currentIndex;
+
+      dot.classList.toggle("is-active", isActive);
+      dot.tabIndex = isActive ? 0 : -1;
+      if (isActive) dot.setAttribute("aria-current", "true");
+      else dot.removeAttribute("aria-current");
+    });
+
+    if (!options.silent) announce();
+
+    if (options.via) {
+      const slide = slides[currentIndex];
+      window.ACP?.analytics?.track(
+        "gallery_navigate",
+        {
+          gallery: urlState.id,
+          index: currentIndex + 1,
+          total: slides.length,
+          project: slide?.dataset.project || null,
+          via: options.via,
+        },
+        gallery
+      );
+    }
+
+    loadAround();
+    lightbox.sync(controller);
+    autoplay?.restart();
+    urlState.record(options);
+  }
+
+  /* ---------------------------------------------------------
+     PREVIOUS / NEXT CONTROLS
+  --------------------------------------------------------- */
+  function goToPrevious(via) {
+    currentIndex = currentIndex === 0 ? slides.length - 1 : currentIndex - 1;
+    renderGallery({ via });
+  }
+
+  function goToNext(via) {
+    currentIndex = currentIndex === slides.length - 1 ? 0 : currentIndex + 1;
+    renderGallery({ via });
+  }
+
+  // Wraps around in both directions (used by the lightbox + autoplay).
+  function goTo(index, options) {
+    currentIndex = (index + slides.length) % slides.length;
+    renderGallery(options);
+  }
+
+  const controller = {
+    getSlides: () => slides,
+    getIndex: () => currentIndex,
+    goTo,
+  };
+
+  const autoplay = createAutoplay(gallery, controller, scope);
+  const urlState = createUrlState(gallery, controller, scope);
+
+  scope.defer(() => lightbox.detach(controller));
+
+  if (prevBtn) {
+    prevBtn.addEventListener("click", () => goToPrevious("button"), { signal });
+  }
+
+  if (nextBtn) {
+    nextBtn.addEventListener("click", () => goToNext("button"), { signal });
+  }
+
+  /* ---------------------------------------------------------
+     DOT NAVIGATION
+  --------------------------------------------------------- */
+  dots.forEach((dot) => {
+    const onDotClick = () => {
+      currentIndex = dots.indexOf(dot);
+      renderGallery({ via: "dot" });
+    };
+
+    // Roving focus: one tab stop, arrows / Home / End move between dots.
+    const onDotKeydown = (event) => {
+      const keys = {
+        ArrowLeft: currentIndex - 1,
+        ArrowRight: currentIndex + 1,
+        Home: 0,
+        End: dots.length - 1,
+      };
+      if (!(event.key in keys)) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+
+      goTo(keys[event.key], { via: "dot" });
+      dots[currentIndex]?.focus();
+    };
+
+    dot.addEventListener("click", onDotClick, { signal });
+    dot.addEventListener("keydown", onDotKeydown, { signal });
+  });
+
+  /* ---------------------------------------------------------
+     IMAGE LOADING
+     - Slide images wait in data-src; only the current slide
+       and its neighbours are requested.
+     - .is-loading shows a skeleton until they arrive.
+     - A broken image drops its slide + dot from the rotation.
+       With data-gallery-onerror="fallback" (and always for the
+       last slide left) a branded placeholder is shown instead.
+  --------------------------------------------------------- */
+  const errorMode = gallery.dataset.galleryOnerror === "fallback" ? "fallback" : "remove";
+
+  // Resolves once img has loaded; rejects with img if it fails.
+  function whenLoaded(img) {
+    return new Promise((resolve, reject) => {
+      const pending = img.dataset.src;
+
+      if (!pending && img.complete) {
+        if (img.naturalWidth) resolve();
+        else reject(img);
+        return;
+      }
+
+      img.addEventListener("load", () => resolve(), { once: true, signal });
+      img.addEventListener("error", () => reject(img), { once: true, signal });
+
+      if (pending) {
+        img.src = pending;
+        img.removeAttribute("data-src");
+      }
+    });
+  }
+
+  function loadSlide(slide) {
+    if (!slide || slide.dataset.loadState) return;
+
+    slide.dataset.loadState = "loading";
+    slide.classList.add("is-loading");
+
+    // A missing "before" photo only costs the compare (js/compare.js
+    // falls back to the after photo), not the whole slide.
+    const images = Array.from(slide.querySelectorAll("img"));
+    const loads = images.map((img) =>
+      img.hasAttribute("data-compare-before") ? whenLoaded(img).catch(() => {}) : whenLoaded(img)
+    );
+
+    Promise.all(loads).then(
+      () => {
+        slide.dataset.loadState = "loaded";
+        slide.classList.remove("is-loading");
+      },
+      (img) => handleBrokenSlide(slide, img)
+    );
+  }
+
+  function loadAround() {
+    [currentIndex, currentIndex + 1, currentIndex - 1].forEach((index) => {
+      loadSlide(slides[(index + slides.length) % slides.length]);
+    });
+  }
+
+  function showFallback(slide) {
+    slide.dataset.loadState = "failed";
+    slide.classList.remove("is-loading");
+    slide.classList.add("is-broken");
+
+    slide.querySelectorAll("img").forEach((img) => {
+      img.hidden = true;
+    });
+
+    const fallback = document.createElement("div");
+    fallback.className = "portfolio-gallery__fallback";
+    fallback.textContent = "Photo coming soon";
+    slide.prepend(fallback);
+  }
+
+  function handleBrokenSlide(slide, img) {
+    if (scope.isDestroyed()) return;
+
+    console.error("[portfolio] image failed to load:", img.getAttribute("src"));
+
+    const index = slides.indexOf(slide);
+    if (index === -1) return;
+
+    if (errorMode === "fallback" || slides.length === 1) {
+      showFallback(slide);
+      return;
+    }
+
+    slides.splice(index, 1);
+    slide.remove();
+
+    const [dot] = dots.splice(index, 1);
+    dot?.remove();
+    dots.forEach((d, i) => d.setAttribute("aria-label", `Go to image ${i + 1}`));
+
+    if (index < currentIndex) currentIndex -= 1;
+    if (currentIndex >= slides.length) currentIndex = slides.length - 1;
+
+    renderGallery({ replace: true });
+  }
+
+  /* ---------------------------------------------------------
+     TOUCH / SWIPE SUPPORT
+  --------------------------------------------------------- */
+  let touchStartX = 0;
+  let touchStartY = 0;
+  let touchOnCompare = false;
+
+  gallery.addEventListener(
+    "touchstart",
+    (event) => {
+      touchStartX = event.touches[0].clientX;
+      touchStartY = event.touches[0].clientY;
+
+      // Before/after slides own horizontal drags (their divider).
+      touchOnCompare = !!event.target.closest?.("[data-compare]");
+    },
+    { passive: true, signal }
+  );
+
+  gallery.addEventListener(
+    "touchend",
+    (event) => {
+      if (touchOnCompare) return;
+
+      const touchEndX = event.changedTouches[0].clientX;
+      const touchEndY = event.changedTouches[0].clientY;
+
+      const deltaX = touchEndX - touchStartX;
+      const deltaY = touchEndY - touchStartY;
+
+      /* Ignore mostly vertical gestures */
+      if (Math.abs(deltaY) > Math.abs(deltaX)) return;
+
+      /* Require meaningful swipe distance */
+      if (Math.abs(deltaX) < 50) return;
+
+      if (deltaX < 0) {
+        goToNext("swipe");
+      } else {
+        goToPrevious("swipe");
+      }
+    },
+    { passive: true, signal }
+  );
+
+  /* ---------------------------------------------------------
+     KEYBOARD SUPPORT
+  --------------------------------------------------------- */
+  const onKeydown = (event) => {
+    if (event.key === "ArrowLeft") {
+      goToPrevious("key");
+    }
+
+    if (event.key === "ArrowRight") {
+      goToNext("key");
+    }
+
+    if (event.key === "Home" || event.key === "End") {
+      event.preventDefault();
+      goTo(event.key === "Home" ? 0 : slides.length - 1, { via: "key" });
+    }
+  };
+
+  gallery.addEventListener("keydown", onKeydown, { signal });
+  gallery.setAttribute("tabindex", "0");
+
+  /* ---------------------------------------------------------
+     LIGHTBOX
+     Click a slide (or press Enter on the gallery) to open it
+     fullscreen. Slides are focusable so focus can return.
+  --------------------------------------------------------- */
+  // Broken slides and photo-less placeholders have nothing to enlarge.
+  const canOpen = (slide) => !slide.classList.contains("is-broken") && !!slide.querySelector("img");
+
+  slides.forEach((slide) => {
+    slide.setAttribute("tabindex", "-1");
+
+    const onSlideClick = (event) => {
+      // A click on a before/after slide is a divider drag, not "open".
+      if (event.target.closest("[data-compare]")) return;
+      if (!canOpen(slide)) return;
+
+      currentIndex = slides.indexOf(slide);
+      renderGallery();
+      lightbox.open(controller, slide);
+    };
+
+    slide.addEventListener("click", onSlideClick, { signal });
+  });
+
+  const onEnter = (event) => {
+    if (event.key !== "Enter") return;
+    if (event.target !== gallery && !slides.includes(event.target)) return;
+
+    event.preventDefault();
+    if (!canOpen(slides[currentIndex])) return;
+    lightbox.open(controller, slides[currentIndex]);
+  };
+
+  gallery.addEventListener("keydown", onEnter, { signal });
+
+  /* ---------------------------------------------------------
+     INITIALIZE
+     A deep-linked slide is restored first so the URL isn't
+     overwritten by slide 1.
+  --------------------------------------------------------- */
+  urlState.restore();
+  renderGallery({ silent: true });
+
+  return scope.destroy;
+}
+
+/* =========================================================
+   7) INIT
+   Manifest galleries keep any static slides as a fallback
+   if the manifest can't be loaded.
+========================================================= */
+export function init(root = document, options = {}) {
+  const galleries = queryAll(root, "[data-gallery]");
+  if (!galleries.length) return emptyHandle();
+
+  const siteRoot = options.siteRoot
+    ? new URL(options.siteRoot, window.location.href)
+    : SITE_ROOT;
+  const scope = createScope();
+
+  const mount = (gallery) => {
+    if (scope.isDestroyed()) return;
+    scope.defer(setupGallery(gallery));
+  };
+
+  galleries.forEach((gallery) => {
+    const manifestPath = gallery.dataset.galleryManifest;
+
+    if (!manifestPath) {
+      mount(gallery);
+      return;
+    }
+
+    loadManifest(manifestPath, siteRoot).then((manifest) => {
+      if (scope.isDestroyed()) return;
+      if (manifest) buildFromManifest(gallery, manifest, siteRoot);
+      mount(gallery);
+    });
+  });
+
+  return { destroy: scope.destroy };
+}
@@ -0,0 +1,38 @@
+/* =====================================================================
+   components/header.js — ACP Landscaping
+   Header Scroll State
+
+   - Adds/removes .is-scrolled once user scrolls down a bit.
+   - CSS uses this to darken/compact header.
+   - Driven by the shared frame scheduler (js/frame.js).
+
+   init(root = document, options)
+     options.offset   px scrolled before .is-scrolled (default 10)
+   Returns { destroy() }
+===================================================================== */
+
+import { createScope, emptyHandle, query } from "./lifecycle.js";
+
+export function init(root = document, options = {}) {
+  const header = query(root, "#siteHeader");
+  if (!header) return emptyHandle();
+
+  const scope = createScope();
+  const offset = options.offset ?? 10;
+
+  let scrolled = null;
+
+  const onFrame = (view) => {
+    const next = view.scrollY > offset;
+    if (next === scrolled) return;
+
+    scrolled = next;
+    return () => header.classList.toggle("is-scrolled", scrolled);
+  };
+
+  // Initialize state on page load (first frame), then on scroll.
+  scope.defer(window.ACP?.frame?.subscribe(onFrame));
+  scope.defer(() => header.classList.remove("is-scrolled"));
+
+  return { destroy: scope.destroy };
+}
@@ -0,0 +1,525 @@
+/* =====================================================================
+   components/intro.js — ACP Landscaping
+   Intro Overlay (blocks scrolling until dismissed)
+
+   - Copy + frequency come from the active campaign in
+     data/intro-campaigns.json (picked by date); the HTML copy
+     is the fallback.
+   - Frequency rules (per campaign, else the file default):
+       "every-visit"       always
+       "once-per-session"  once per tab session (sessionStorage)
+       "once-per-campaign" once per browser (localStorage)
+       "until-dismissed"   until the visitor dismisses it once
+     Apart from "every-visit", none shows twice in a tab session;
+     that check needs no data, so later pages skip it at once.
+     Without "preferences" consent (js/consent.js) the browser-
+     wide ones only last for the current page; the tab session
+     flag is strictly functional, so it always sticks.
+   - Prevents underlying page scroll until dismissed.
+   - Dismiss via wheel / touch swipe, click / tap, the Skip
+     button or keys (Space, Enter, PageDown, ArrowDown, End, Esc).
+   - Auto-completes dismissal once user passes 50%.
+   - Acts as a modal dialog: the page behind is inert and focus
+     sits on Skip until it's gone.
+   - Reduced motion: any dismissal removes it at once.
+
+   init(root = document, options)
+     options.campaignsUrl   campaign data (default: data/intro-campaigns.json)
+   Returns { dismiss(), isOpen(), done, destroy() }
+     done   Promise, resolves once the overlay is gone
+   (main.js publishes this handle as window.ACP.intro.)
+===================================================================== */
+
+import { createScope, query } from "./lifecycle.js";
+
+const SESSION_KEY = "acp_intro_seen";
+const SHOWN_KEY = "acp_intro_shown:";
+const DISMISSED_KEY = "acp_intro_dismissed:";
+const DEFAULT_FREQUENCY = "once-per-session";
+
+const CAMPAIGNS_URL = new URL("../../data/intro-campaigns.json", import.meta.url).href;
+
+export function init(root = document, options = {}) {
+  const overlay = query(root, "#introOverlay");
+  const campaignsUrl = options.campaignsUrl || CAMPAIGNS_URL;
+
+  let resolveDone;
+  const done = new Promise((resolve) => {
+    resolveDone = resolve;
+  });
+
+  if (!overlay) {
+    resolveDone();
+    return { dismiss: () => {}, isOpen: () => false, done, destroy() {} };
+  }
+
+  const scope = createScope();
+  const { signal } = scope;
+
+  const page = document.querySelector("main");
+  const skipBtn = overlay.querySelector("[data-intro-skip]");
+
+  let dismissed = false;
+
+  // Active campaign once chosen (null while data is loading).
+  let campaign = null;
+
+  // "target" = where we want the overlay to go
+  // "current" = where it visually is (smoothed toward target)
+  let target = 0;
+  let current = 0;
+
+  // Viewport height, kept current by the frame scheduler (js/frame.js)
+  // so the animation loop never reads layout itself.
+  let viewportHeight = window.innerHeight || 1;
+
+  // Utility: safest "viewport height" source for the overlay math.
+    const getMax = () => {
+    const h = viewportHeight;
+
+    // Mobile: require less scroll distance to fully dismiss
+    // (Feels much lighter while preserving the same visual design.)
+    return isMobile ? Math.round(h * 0.72) : h;
+  };
+
+    /* -----------------------------
+     Tuning knobs (UX feel)
+     - Desktop: premium / weighty
+     - Mobile: faster + less “work”
+  ------------------------------ */
+  const isMobile =
+    window.matchMedia?.("(max-width: 520px)")?.matches ?? false;
+
+  // On mobile we want the overlay to move farther per swipe/wheel,
+  // and catch up faster so it doesn’t feel “stuck.”
+  const RESISTANCE = isMobile ? 1.15 : 0.65;     // higher = lighter/faster
+  const SMOOTHING = isMobile ? 0.22 : 0.12;      // higher = snappier
+  const FADE_START = isMobile ? 0.18 : 0.30;     // start fading sooner on mobile
+  const FADE_END = 1.00;
+
+  // Mobile snaps away earlier (less scrolling required)
+  const AUTO_DISMISS_AT = isMobile ? 0.32 : 0.5;
+
+  // Faster snap detection on mobile
+  const SNAP_DELAY_MS = isMobile ? 90 : 140;
+
+  // Clamp utility (keeps values within an expected range).
+  const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+
+  // Applies transform + opacity based on scroll progress.
+  const apply = (posPx) => {
+    const max = getMax();
+    const p = clamp(posPx / max, 0, 1);
+
+    // Slide up as it progresses (CSS var consumed in .intro-overlay).
+    overlay.style.setProperty("--introY", `${-posPx}px`);
+
+    // Luxury fade curve: stay opaque early, then fade smoothly.
+    let opacity = 1;
+    if (p > FADE_START) {
+      const t = (p - FADE_START) / (FADE_END - FADE_START); // 0..1
+      // easeOutCubic for a premium fade
+      const eased = 1 - Math.pow(1 - clamp(t, 0, 1), 3);
+      opacity = 1 - eased;
+    }
+    overlay.style.setProperty("--introOpacity", `${opacity}`);
+  };
+
+    // Debounce timer used to detect "input end" for wheel/trackpad
+  let snapTimerId = null;
+
+  /**
+   * Decide where the overlay should settle after the user stops interacting.
+   * - < 50% progress => snap back closed (0)
+   * - >= 50% progress => snap fully dismissed (max)
+   */
+  const snapToNearest = () => {
+    if (dismissed) return;
+
+    const max = getMax();
+    const threshold = max * AUTO_DISMISS_AT;
+
+    target = target >= threshold ? max : 0;
+  };
+
+  /**
+   * Schedules snap logic after a short period of no input.
+   * Wheel events come in bursts; this debounce approximates "wheel end".
+   */
+  scope.defer(() => window.clearTimeout(snapTimerId));
+
+  const scheduleSnap = () => {
+    if (snapTimerId) window.clearTimeout(snapTimerId);
+    snapTimerId = window.setTimeout(() => {
+      snapTimerId = null;
+      snapToNearest();
+      wake();
+    }, SNAP_DELAY_MS);
+  };
+
+
+  // Animation loop for smoothing/inertia.
+  // Idles once current has caught up with target; input wakes it.
+  let rafId = null;
+
+  const wake = () => {
+    if (dismissed || rafId != null) return;
+    rafId = requestAnimationFrame(tick);
+  };
+
+  const tick = () => {
+    rafId = null;
+    if (dismissed) return;
+
+    const max = getMax();
+
+    // Smoothly interpolate current toward target (inertia).
+    current += (target - current) * SMOOTHING;
+
+    /* --------------------------------------------------------
+       AUTO-COMPLETE DISMISSAL
+       If the user scrolls past AUTO_DISMISS_AT, complete the
+       rest automatically by snapping the target to max.
+       The animation remains smooth because "current" still lerps.
+    -------------------------------------------------------- */
+    if (target >= max * AUTO_DISMISS_AT) {
+      target = max;
+    }
+
+    // Snap when extremely close to avoid endless micro movement.
+    if (Math.abs(target - current) < 0.25) {
+      current = target;
+    }
+
+    apply(current);
+
+    /* --------------------------------------------------------
+       FINAL CLEANUP
+       Remove once fully slid out so the page can scroll normally.
+    -------------------------------------------------------- */
+    if (target >= max - 1 && current >= max - 1) {
+      finish();
+      return;
+    }
+
+    if (current !== target) wake();
+  };
+  wake();
+
+  /* --------------------------------------------------------
+     DISMISS + CLEANUP
+     dismiss() hands the rest of the slide-out to tick();
+     reduced motion skips straight to finish().
+     How it went is reported as an "intro_dismiss" analytics
+     event: wheel, swipe, key, click, skip or api.
+  -------------------------------------------------------- */
+  // Last input that moved the overlay; an explicit dismiss wins.
+  let inputMethod = null;
+  let dismissMethod = null;
+
+  function finish() {
+    if (dismissed) return;
+    dismissed = true;
+
+    // Drops the input listeners, frame subscription and timers.
+    scope.destroy();
+
+    // Only a visitor-visible overlay counts as dismissed.
+    if (campaign) {
+      storage.set("local", DISMISSED_KEY + campaign.id, "true");
+      window.ACP?.analytics?.track("intro_dismiss", {
+        method: dismissMethod || inputMethod || "api",
+        campaign: campaign.id,
+      });
+    }
+
+    const hadFocus = overlay.contains(document.activeElement);
+    overlay.remove();
+    if (page) page.inert = false;
+
+    // Release focus to the page: the next Tab starts at the top.
+    if (hadFocus) document.activeElement?.blur?.();
+
+    resolveDone();
+  }
+
+  function dismiss(method = "api") {
+    if (dismissed) return;
+    dismissMethod = dismissMethod || method;
+
+    if (window.ACP?.motion?.reduced()) {
+      finish();
+      return;
+    }
+
+    target = getMax();
+    wake();
+  }
+
+  /* --------------------------------------------------------
+     INPUT HANDLERS (blocks page scroll until dismissed)
+  -------------------------------------------------------- */
+
+  // Wheel (desktop / trackpad)
+  const onWheel = (e) => {
+    if (dismissed) return;
+    if (e.deltaY <= 0) return;
+
+    // Prevent underlying page from scrolling while overlay is active.
+    e.preventDefault();
+
+    const max = getMax();
+    inputMethod = "wheel";
+    target = clamp(target + e.deltaY * RESISTANCE, 0, max);
+    wake();
+
+    // After wheel input stops, snap to 0% or 100% depending on progress
+    scheduleSnap();
+  };
+
+  // Touch (mobile)
+  let touchStartY = null;
+
+  const onTouchStart = (e) => {
+    if (dismissed) return;
+    touchStartY = e.touches?.[0]?.clientY ?? null;
+  };
+
+  const onTouchMove = (e) => {
+    if (dismissed) return;
+    if (touchStartY == null) return;
+
+    const currentY = e.touches?.[0]?.clientY ?? touchStartY;
+    const dy = touchStartY - currentY; // swipe up => positive
+
+    if (dy <= 0) return;
+
+    // Prevent underlying page from scrolling while overlay is active.
+    e.preventDefault();
+
+    const max = getMax();
+        const touchBoost = isMobile ? 1.2 : 1.0;
+    inputMethod = "swipe";
+    target = clamp(target + dy * RESISTANCE * touchBoost, 0, max);
+    wake();
+
+    // Update start to support continuous swipe.
+    touchStartY = currentY;
+  };
+
+  // Keyboard: "scroll down" keys dismiss; Tab stays on Skip.
+  const DISMISS_KEYS = ["Enter", " ", "Spacebar", "PageDown", "ArrowDown", "End", "Escape"];
+
+  function onKeydown(e) {
+    if (dismissed) return;
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+    if (e.key === "Tab") {
+      e.preventDefault();
+      skipBtn?.focus();
+      return;
+    }
+
+    if (!DISMISS_KEYS.includes(e.key)) return;
+
+    e.preventDefault();
+    dismiss("key");
+  }
+
+  /* --------------------------------------------------------
+     LOCK (once a campaign is confirmed to show)
+     Until then nothing is scrolled, made inert or blocked, so
+     visitors who won't see the overlay aren't held up by it.
+  -------------------------------------------------------- */
+  const lock = () => {
+    // Start at the top so the overlay experience is consistent.
+    window.scrollTo(0, 0);
+
+    // NOTE: passive:false is REQUIRED so preventDefault() works.
+    window.addEventListener("wheel", onWheel, { passive: false, signal });
+    window.addEventListener("touchstart", onTouchStart, { passive: true, signal });
+    window.addEventListener("touchmove", onTouchMove, { passive: false, signal });
+
+    // Capture phase, so other page key handlers don't also react.
+    window.addEventListener("keydown", onKeydown, { capture: true, signal });
+
+    // Click / tap anywhere (Skip included) dismisses.
+    overlay.addEventListener(
+      "click",
+      (e) => dismiss(e.target.closest?.("[data-intro-skip]") ? "skip" : "click"),
+      { signal }
+    );
+
+    // Dialog semantics + focus.
+    if (page) page.inert = true;
+    if (skipBtn) skipBtn.hidden = false;
+    (skipBtn || overlay).focus({ preventScroll: true });
+  };
+
+  /* --------------------------------------------------------
+     RESPONSIVE SAFETY
+     Clamp values if viewport changes (rotation / resize).
+  -------------------------------------------------------- */
+  function onFrame(view) {
+    if (dismissed || !view.resized) return;
+
+    viewportHeight = view.height;
+
+    const max = getMax();
+    target = clamp(target, 0, max);
+    current = clamp(current, 0, max);
+    wake();
+  }
+
+  scope.defer(window.ACP?.frame?.subscribe(onFrame));
+  scope.defer(() => {
+    if (rafId != null) cancelAnimationFrame(rafId);
+  });
+
+  /* --------------------------------------------------------
+     CAMPAIGNS
+     The overlay stays .is-pending (copy hidden, page not locked)
+     until the data decides whether it shows at all. Storage can
+     throw (privacy modes), so every read / write is guarded.
+     The localStorage flags count as a "preferences" choice
+     (js/consent.js): declined, they're kept in memory for this
+     page. The once-per-tab flag is "necessary", so declining
+     never makes the overlay replay on every page.
+  -------------------------------------------------------- */
+  const areaFor = (area) =>
+    window.ACP?.consent?.storage(area === "session" ? "necessary" : "preferences", area) ||
+    (area === "session" ? sessionStorage : localStorage);
+
+  const storage = {
+    get(area, key) {
+      try {
+        return areaFor(area).getItem(key);
+      } catch (err) {
+        return null;
+      }
+    },
+    set(area, key, value) {
+      try {
+        areaFor(area).setItem(key, value);
+      } catch (err) {
+        /* not persisted; the overlay may show again */
+      }
+    },
+  };
+
+  // "YYYY-MM-DD" in local time; end dates include the whole day.
+  const parseDay = (value, endOfDay) => {
+    const [y, m, d] = String(value).split("-").map(Number);
+    return endOfDay ? new Date(y, m - 1, d, 23, 59, 59, 999) : new Date(y, m - 1, d);
+  };
+
+  const isActive = (item, now) =>
+    (!item.start || parseDay(item.start, false) <= now) &&
+    (!item.end || now <= parseDay(item.end, true));
+
+  const pickCampaign = (data) => {
+    const fallback = { id: "default", frequency: data?.frequency || DEFAULT_FREQUENCY };
+    if (!data) return fallback;
+
+    const now = new Date();
+    const active = (data.campaigns || []).find((item) => isActive(item, now));
+
+    return active
+      ? { ...active, frequency: active.frequency || fallback.frequency }
+      : fallback;
+  };
+
+  const shouldShow = (item) => {
+    switch (item.frequency) {
+      case "every-visit":
+        return true;
+      case "once-per-campaign":
+        return storage.get("local", SHOWN_KEY + item.id) !== "true";
+      case "until-dismissed":
+        return storage.get("local", DISMISSED_KEY + item.id) !== "true";
+      default:
+        return storage.get("session", SESSION_KEY) !== "true";
+    }
+  };
+
+  // The session flag means "nothing more to show in this tab", so
+  // later pages can skip the overlay before the data loads.
+  const markSeen = (item) => {
+    if (item.frequency !== "every-visit") storage.set("session", SESSION_KEY, "true");
+  };
+
+  const markShown = (item) => {
+    markSeen(item);
+    storage.set("local", SHOWN_KEY + item.id, "true");
+  };
+
+  // Only fields the campaign sets are replaced (text only).
+  const renderCampaign = (item) => {
+    [
+      ["headline", ".intro-overlay__headline"],
+      ["message", ".intro-overlay__message"],
+      ["promo", ".intro-overlay__promo"],
+    ].forEach(([field, selector]) => {
+      const el = overlay.querySelector(selector);
+      if (el && item[field]) el.textContent = item[field];
+    });
+  };
+
+  const seenThisSession = storage.get("session", SESSION_KEY) === "true";
+
+  const load = () =>
+    fetch(campaignsUrl).then((res) => {
+      if (!res.ok) throw new Error(`${res.status} loading ${campaignsUrl}`);
+      return res.json();
+    });
+
+  // Already seen (or skipped) in this tab: gone at once, checked
+  // synchronously so nothing waits on the campaign data.
+  if (seenThisSession) {
+    finish();
+  } else {
+    load()
+      .catch((err) => {
+        console.error("[intro] could not load campaigns:", err);
+        return null;
+      })
+      .then((data) => {
+        if (dismissed) return;
+
+        const next = pickCampaign(data);
+
+        if (!shouldShow(next)) {
+          markSeen(next);
+          finish();
+          return;
+        }
+
+        campaign = next;
+        renderCampaign(campaign);
+        markShown(campaign);
+        lock();
+        overlay.classList.remove("is-pending");
+      });
+  }
+
+  /* --------------------------------------------------------
+     HANDLE
+     destroy() stops the overlay where it is (call dismiss()
+     first to remove it) and hands the page back.
+  -------------------------------------------------------- */
+  const destroy = () => {
+    if (dismissed) return;
+    dismissed = true;
+
+    scope.destroy();
+    if (page) page.inert = false;
+    resolveDone();
+  };
+
+  return {
+    dismiss: () => dismiss("api"),
+    isOpen: () => !dismissed,
+    done,
+    destroy,
+  };
+}
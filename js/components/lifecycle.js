@@ -0,0 +1,62 @@
+/* =====================================================================
+   components/lifecycle.js — ACP Landscaping
+   Purpose:
+   - Shared plumbing for the component modules in this folder
+   - Every component exports init(root, options) and returns a
+     handle with destroy(); a scope collects what destroy() undoes
+
+   Usage:
+     const scope = createScope();
+     el.addEventListener("click", onClick, { signal: scope.signal });
+     scope.defer(() => observer.disconnect());
+     return { destroy: scope.destroy };
+===================================================================== */
+
+/**
+ * Listeners registered with scope.signal are removed, and deferred
+ * callbacks run (last in, first out), when destroy() is called.
+ */
+export function createScope() {
+  const controller = new AbortController();
+  const cleanups = [];
+
+  const defer = (fn) => {
+    if (typeof fn === "function") cleanups.push(fn);
+  };
+
+  const destroy = () => {
+    if (controller.signal.aborted) return;
+    controller.abort();
+
+    while (cleanups.length) {
+      try {
+        cleanups.pop()();
+      } catch (err) {
+        console.error("[components] cleanup failed:", err);
+      }
+    }
+  };
+
+  return {
+    signal: controller.signal,
+    defer,
+    destroy,
+    isDestroyed: () => controller.signal.aborted,
+  };
+}
+
+/**
+ * Matches inside root, including root itself, so components can be
+ * mounted on the document, a container or the element itself.
+ */
+export function queryAll(root, selector) {
+  const found = Array.from(root.querySelectorAll(selector));
+  return root.matches?.(selector) ? [root, ...found] : found;
+}
+
+export function query(root, selector) {
+  return queryAll(root, selector)[0] || null;
+}
+
+// Handle for components that found nothing to do.
+export const emptyHandle = () => ({ destroy() {} });
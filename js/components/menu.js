@@ -0,0 +1,190 @@
+/* =====================================================================
+   components/menu.js — ACP Landscaping
+   Mobile Menu
+
+   - Burger toggles dropdown visibility.
+   - Smooth open/close animation (hidden once the CSS
+     transition ends, so timing lives in CSS only).
+   - While open: focus moves in and is trapped (burger + links),
+     background scroll is locked (html.menu-open).
+   - Closes on link click, ESC, outside tap and on resize to
+     desktop width; ESC / burger return focus to the burger.
+
+   init(root = document)
+   Returns { open(), close(options), isOpen(), destroy() }
+===================================================================== */
+
+import { createScope, emptyHandle, query } from "./lifecycle.js";
+
+export function init(root = document) {
+  const burger = query(root, "#burgerBtn");
+  const menu = query(root, "#mobileMenu");
+  if (!burger || !menu) return emptyHandle();
+
+  const scope = createScope();
+  const { signal } = scope;
+
+  // Same breakpoint that hides the burger in components.css.
+  const desktop = window.matchMedia("(min-width: 980px)");
+
+  const links = () => Array.from(menu.querySelectorAll("a[href]"));
+  const isOpen = () => burger.classList.contains("is-open");
+
+  let hideTimer = null;
+  scope.defer(() => clearTimeout(hideTimer));
+
+  // Longest transition on the menu (e.g. "220ms" or "0.22s"), in ms.
+  const transitionMs = () => {
+    const style = getComputedStyle(menu);
+    const durations = style.transitionDuration.split(",").map(parseFloat);
+    const delays = style.transitionDelay.split(",").map(parseFloat);
+    return Math.max(0, ...durations.map((d, i) => (d + (delays[i] || 0)) * 1000));
+  };
+
+  // Open the menu:
+  // - Unhide immediately
+  // - Next frame: apply animation classes for smooth transition
+  const openMenu = () => {
+    clearTimeout(hideTimer);
+    menu.hidden = false;
+    menu.classList.remove("is-closing");
+
+    burger.classList.add("is-open");
+    burger.setAttribute("aria-expanded", "true");
+    burger.setAttribute("aria-label", "Close menu");
+    document.documentElement.classList.add("menu-open");
+
+    requestAnimationFrame(() => {
+      menu.classList.add("is-open");
+      links()[0]?.focus();
+    });
+  };
+
+  const finishClose = () => {
+    clearTimeout(hideTimer);
+    if (isOpen()) return;
+
+    menu.hidden = true;
+    menu.classList.remove("is-closing");
+  };
+
+  // Close the menu:
+  // - Apply closing animation class
+  // - Hide once the transition has finished
+  // options.returnFocus: send focus back to the burger
+  // options.instant: skip the animation (resize to desktop)
+  const closeMenu = ({ returnFocus = false, instant = false } = {}) => {
+    if (!isOpen()) return;
+
+    menu.classList.remove("is-open");
+    burger.classList.remove("is-open");
+    burger.setAttribute("aria-expanded", "false");
+    burger.setAttribute("aria-label", "Open menu");
+    document.documentElement.classList.remove("menu-open");
+
+    if (returnFocus) burger.focus();
+
+    const duration = instant ? 0 : transitionMs();
+    if (!duration) {
+      finishClose();
+      return;
+    }
+
+    menu.classList.add("is-closing");
+
+    // transitionend is the normal path; the timer covers it not firing.
+    hideTimer = setTimeout(finishClose, duration + 50);
+  };
+
+  menu.addEventListener(
+    "transitionend",
+    (e) => {
+      if (e.target === menu && menu.classList.contains("is-closing")) finishClose();
+    },
+    { signal }
+  );
+
+  // Toggle open/close on burger click.
+  burger.addEventListener(
+    "click",
+    () => {
+      isOpen() ? closeMenu({ returnFocus: true }) : openMenu();
+    },
+    { signal }
+  );
+
+  // When a link is clicked:
+  // - Add a brief pressed state (visual feedback)
+  // - Close the menu
+  // (Delegated, so links re-rendered by nav.js keep working.)
+  menu.addEventListener(
+    "click",
+    (e) => {
+      const link = e.target.closest?.("a");
+      if (!link) return;
+
+      link.classList.add("is-pressed");
+      setTimeout(() => link.classList.remove("is-pressed"), 250);
+
+      closeMenu();
+    },
+    { signal }
+  );
+
+  // ESC closes menu; Tab cycles through burger + links only.
+  const onKeydown = (e) => {
+    if (!isOpen()) return;
+
+    if (e.key === "Escape") {
+      closeMenu({ returnFocus: true });
+      return;
+    }
+
+    if (e.key !== "Tab") return;
+
+    const focusables = [burger, ...links()];
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
+    const inside = focusables.includes(document.activeElement);
+
+    if (e.shiftKey && (document.activeElement === first || !inside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  window.addEventListener("keydown", onKeydown, { signal });
+
+  // Outside tap closes without stealing focus from what was tapped.
+  document.addEventListener(
+    "pointerdown",
+    (e) => {
+      if (!isOpen()) return;
+      if (menu.contains(e.target) || burger.contains(e.target)) return;
+      closeMenu();
+    },
+    { signal }
+  );
+
+  // Widening to desktop hides the burger, so close cleanly at once.
+  desktop.addEventListener?.(
+    "change",
+    () => {
+      if (desktop.matches) closeMenu({ instant: true });
+    },
+    { signal }
+  );
+
+  return {
+    open: openMenu,
+    close: closeMenu,
+    isOpen,
+    destroy() {
+      closeMenu({ instant: true });
+      scope.destroy();
+    },
+  };
+}
@@ -0,0 +1,412 @@
+/* =====================================================================
+   components/portfolio-browser.js — ACP Landscaping
+   Portfolio Browser
+
+   - One grid of every project in the manifest, residential and
+     commercial together:
+       <div data-portfolio-browser
+            data-portfolio-manifest="data/portfolio.json"
+            data-portfolio-towns="data/service-area.json">
+         (no-JS fallback content, replaced on load)
+       </div>
+   - Filters: property type, service, town (towns listed in
+     service-area order); each option shows how many projects it
+     would leave, given the other filters
+   - Filter state lives in the query string
+     (?type=residential&service=patios&town=east-aurora), so a
+     filtered view can be shared; the hash stays the gallery's
+   - A card opens its project in that type's gallery slider
+     (components/gallery.js) through the gallery's deep link,
+     #<type>-gallery/<project id>: on this page it steps the slider
+     and scrolls to it, otherwise it loads the other portfolio page
+
+   init(root = document, options)
+     options.siteRoot   base for data + image paths
+                        (default: the site root this file is in)
+   Returns { destroy() }   restores the fallback content
+===================================================================== */
+
+import { createScope, emptyHandle, queryAll } from "./lifecycle.js";
+import { loadManifest } from "./gallery.js";
+
+const SITE_ROOT = new URL("../../", import.meta.url);
+
+const TYPES = [
+  { value: "residential", label: "Residential" },
+  { value: "commercial", label: "Commercial" },
+];
+
+// Query string keys, in the order they're written.
+const FACETS = ["type", "service", "town"];
+
+/* =========================================================
+   1) DATA
+========================================================= */
+const slugify = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+const loadTowns = (path, siteRoot) => {
+  if (!path) return Promise.resolve([]);
+
+  const url = new URL(path, siteRoot).href;
+
+  return fetch(url)
+    .then((res) => {
+      if (!res.ok) throw new Error(`${res.status} loading ${url}`);
+      return res.json();
+    })
+    .then((data) => (data.towns || []).map((town) => town.name))
+    .catch((err) => {
+      console.error("[portfolio-browser] could not load towns:", err);
+      return [];
+    });
+};
+
+// Facet values of one project: { type, service: [...], town }.
+const valuesOf = (project) => ({
+  type: [project.propertyType],
+  service: (project.services || []).map(slugify),
+  town: [slugify(project.town)],
+});
+
+const matches = (project, filters, skip = null) =>
+  FACETS.every((facet) => {
+    if (facet === skip || !filters[facet]) return true;
+    return valuesOf(project)[facet].includes(filters[facet]);
+  });
+
+/**
+ * Options for each facet: [{ value, label }].
+ * Services follow first appearance in the manifest; towns follow
+ * the service-area list, then any others in manifest order.
+ */
+const buildOptions = (projects, townOrder) => {
+  const services = new Map();
+  const towns = new Map();
+
+  projects.forEach((project) => {
+    (project.services || []).forEach((service) => {
+      services.set(slugify(service), service);
+    });
+    if (project.town) towns.set(slugify(project.town), project.town);
+  });
+
+  const orderedTowns = [
+    ...townOrder.map(slugify).filter((slug) => towns.has(slug)),
+    ...Array.from(towns.keys()).filter((slug) => !townOrder.map(slugify).includes(slug)),
+  ];
+
+  return {
+    type: TYPES,
+    service: Array.from(services, ([value, label]) => ({ value, label })),
+    town: orderedTowns.map((value) => ({ value, label: towns.get(value) })),
+  };
+};
+
+/* =========================================================
+   2) URL STATE
+========================================================= */
+const readFilters = (options) => {
+  const params = new URLSearchParams(window.location.search);
+
+  return Object.fromEntries(
+    FACETS.map((facet) => {
+      const value = params.get(facet) || "";
+      const known = options[facet].some((o) => o.value === value);
+      return [facet, known ? value : ""];
+    })
+  );
+};
+
+// Replace (not push): filtering shouldn't fill up the back button.
+const writeFilters = (filters) => {
+  const params = new URLSearchParams(window.location.search);
+  FACETS.forEach((facet) => {
+    if (filters[facet]) params.set(facet, filters[facet]);
+    else params.delete(facet);
+  });
+
+  const search = params.toString();
+  const url = `${window.location.pathname}${search ? `?${search}` : ""}${window.location.hash}`;
+  window.history.replaceState(window.history.state, "", url);
+};
+
+/* =========================================================
+   3) MARKUP
+========================================================= */
+const FACET_LABELS = {
+  type: "Property type",
+  service: "Service",
+  town: "Town",
+};
+
+const ALL_LABELS = {
+  type: "All properties",
+  service: "All services",
+  town: "All towns",
+};
+
+function renderShell(app) {
+  app.innerHTML = `
+    <div class="portfolio-browser__filters">
+      ${["type", "service"]
+        .map(
+          (facet) => `
+          <fieldset class="portfolio-filter" data-facet="${facet}">
+            <legend class="portfolio-filter__legend">${FACET_LABELS[facet]}</legend>
+            <div class="portfolio-filter__chips"></div>
+          </fieldset>`
+        )
+        .join("")}
+      <label class="portfolio-filter portfolio-filter--select" data-facet="town">
+        <span class="portfolio-filter__legend">${FACET_LABELS.town}</span>
+        <select class="portfolio-filter__select"></select>
+      </label>
+    </div>
+
+    <p class="portfolio-browser__count" role="status" aria-live="polite"></p>
+
+    <ul class="portfolio-browser__grid"></ul>
+
+    <div class="portfolio-browser__empty" hidden>
+      <p>No projects match those filters yet.</p>
+      <button class="portfolio-browser__reset" type="button" data-portfolio-reset>
+        Clear filters
+      </button>
+    </div>`;
+}
+
+function createCard(project, siteRoot, href) {
+  const item = document.createElement("li");
+
+  const card = document.createElement("a");
+  card.className = "portfolio-card";
+  card.href = href;
+  card.dataset.project = project.id;
+  card.dataset.projectType = project.propertyType;
+  card.dataset.track = "portfolio_project_open";
+  card.dataset.cta = project.id;
+
+  const image = project.images?.[0];
+  if (image) {
+    const img = document.createElement("img");
+    img.className = "portfolio-card__image";
+    img.src = new URL(image.src, siteRoot).href;
+    img.alt = "";
+    img.loading = "lazy";
+    img.decoding = "async";
+    card.appendChild(img);
+  }
+
+  const body = document.createElement("span");
+  body.className = "portfolio-card__body";
+
+  const type = document.createElement("span");
+  type.className = "portfolio-card__type";
+  type.textContent =
+    TYPES.find((t) => t.value === project.propertyType)?.label || project.propertyType;
+
+  const title = document.createElement("span");
+  title.className = "portfolio-card__title";
+  title.textContent = project.title || project.caption || "";
+
+  const meta = document.createElement("span");
+  meta.className = "portfolio-card__meta";
+  meta.textContent = [project.town, (project.services || []).join(", ")]
+    .filter(Boolean)
+    .join(" • ");
+
+  body.append(type, title, meta);
+  card.appendChild(body);
+  item.appendChild(card);
+
+  return item;
+}
+
+/* =========================================================
+   4) INIT
+========================================================= */
+function mount(app, siteRoot, scope) {
+  const fallback = Array.from(app.childNodes);
+  const { signal } = scope;
+
+  Promise.all([
+    loadManifest(app.dataset.portfolioManifest, siteRoot),
+    loadTowns(app.dataset.portfolioTowns, siteRoot),
+  ]).then(([manifest, townOrder]) => {
+    if (!manifest || scope.isDestroyed()) return;
+
+    const projects = manifest.projects || [];
+    const options = buildOptions(projects, townOrder);
+    let filters = readFilters(options);
+
+    renderShell(app);
+    app.classList.add("is-ready");
+    scope.defer(() => {
+      app.classList.remove("is-ready");
+      app.replaceChildren(...fallback);
+    });
+
+    const grid = app.querySelector(".portfolio-browser__grid");
+    const count = app.querySelector(".portfolio-browser__count");
+    const empty = app.querySelector(".portfolio-browser__empty");
+    const select = app.querySelector(".portfolio-filter__select");
+
+    // "/residential/" or "residential.html", matching this page.
+    const isFlat = /\.html?$/i.test(window.location.pathname);
+    const hrefFor = (project) => {
+      const page = isFlat ? `${project.propertyType}.html` : `${project.propertyType}/`;
+      const url = new URL(page, siteRoot);
+      url.hash = `${project.propertyType}-gallery/${encodeURIComponent(project.id)}`;
+      return url.href;
+    };
+
+    const cards = new Map(
+      projects.map((project) => [project.id, createCard(project, siteRoot, hrefFor(project))])
+    );
+
+    const countFor = (facet, value) =>
+      projects.filter(
+        (project) =>
+          matches(project, filters, facet) &&
+          (!value || valuesOf(project)[facet].includes(value))
+      ).length;
+
+    const renderChips = (facet) => {
+      const wrap = app.querySelector(`[data-facet="${facet}"] .portfolio-filter__chips`);
+
+      wrap.innerHTML = [{ value: "", label: ALL_LABELS[facet] }, ...options[facet]]
+        .map(({ value, label }) => {
+          const n = countFor(facet, value);
+          const active = filters[facet] === value;
+          return `
+            <button
+              class="portfolio-filter__chip"
+              type="button"
+              data-value="${value}"
+              aria-pressed="${active}"
+              ${n === 0 && !active ? "disabled" : ""}
+            >
+              ${label} <span class="portfolio-filter__count">${n}</span>
+            </button>`;
+        })
+        .join("");
+    };
+
+    const renderSelect = () => {
+      select.innerHTML = [{ value: "", label: ALL_LABELS.town }, ...options.town]
+        .map(({ value, label }) => {
+          const n = countFor("town", value);
+          const active = filters.town === value;
+          return `<option value="${value}"${active ? " selected" : ""}${
+            n === 0 && !active ? " disabled" : ""
+          }>${label} (${n})</option>`;
+        })
+        .join("");
+    };
+
+    const render = () => {
+      renderChips("type");
+      renderChips("service");
+      renderSelect();
+
+      const visible = projects.filter((project) => matches(project, filters));
+      grid.replaceChildren(...visible.map((project) => cards.get(project.id)));
+
+      count.textContent = `${visible.length} ${visible.length === 1 ? "project" : "projects"}`;
+      empty.hidden = visible.length > 0;
+    };
+
+    const setFilter = (facet, value) => {
+      filters = { ...filters, [facet]: value };
+      writeFilters(filters);
+      render();
+
+      window.ACP?.analytics?.track(
+        "portfolio_filter",
+        { ...filters, results: grid.children.length },
+        app
+      );
+    };
+
+    /* --------------------------------------------------------
+       Card -> slider. Same page: the gallery follows the hash
+       (hashchange), so only the scroll is ours.
+    -------------------------------------------------------- */
+    const openOnThisPage = (e) => {
+      const card = e.target.closest(".portfolio-card");
+      if (!card || e.metaKey || e.ctrlKey || e.shiftKey || e.button === 1) return;
+
+      const gallery = document.querySelector(
+        `[data-gallery][data-gallery-type="${card.dataset.projectType}"]`
+      );
+      const hasProject = Array.from(
+        gallery?.querySelectorAll("[data-project]") || []
+      ).some((slide) => slide.dataset.project === card.dataset.project);
+      if (!hasProject) return;
+
+      e.preventDefault();
+      window.location.hash = new URL(card.href).hash;
+
+      const reduced = window.ACP?.motion?.reduced() ?? false;
+      gallery.scrollIntoView({ block: "center", behavior: reduced ? "auto" : "smooth" });
+    };
+
+    app.addEventListener(
+      "click",
+      (e) => {
+        const chip = e.target.closest(".portfolio-filter__chip");
+        if (chip) {
+          const { facet } = chip.closest("[data-facet]").dataset;
+          // Pressing the active chip again clears that filter.
+          setFilter(facet, filters[facet] === chip.dataset.value ? "" : chip.dataset.value);
+          return;
+        }
+
+        if (e.target.closest("[data-portfolio-reset]")) {
+          filters = { type: "", service: "", town: "" };
+          writeFilters(filters);
+          render();
+          return;
+        }
+
+        openOnThisPage(e);
+      },
+      { signal }
+    );
+
+    select.addEventListener("change", () => setFilter("town", select.value), { signal });
+
+    // Back / forward to an entry with other filters in its URL.
+    window.addEventListener(
+      "popstate",
+      () => {
+        filters = readFilters(options);
+        render();
+      },
+      { signal }
+    );
+
+    render();
+  });
+}
+
+export function init(root = document, options = {}) {
+  const apps = queryAll(root, "[data-portfolio-browser]").filter(
+    (app) => app.dataset.portfolioManifest
+  );
+  if (apps.length === 0) return emptyHandle();
+
+  const siteRoot = options.siteRoot
+    ? new URL(options.siteRoot, window.location.href)
+    : SITE_ROOT;
+  const scope = createScope();
+
+  apps.forEach((app) => mount(app, siteRoot, scope));
+
+  return { destroy: scope.destroy };
+}
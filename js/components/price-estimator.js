@@ -0,0 +1,386 @@
+/* =====================================================================
+   components/price-estimator.js — ACP Landscaping
+   Instant Price Estimator
+
+   - Visitor picks a lot size (or types square footage), a visit
+     frequency and add-ons; a ballpark range updates as they go
+   - Prices come from a pricing table in data/, so they can change
+     without touching code:
+       <div
+         data-price-estimator
+         data-price-estimator-config="data/lawncare-pricing.json"
+       >
+         (no-JS fallback content, replaced on load)
+       </div>
+   - "Send this to ACP" opens the estimate wizard (js/estimate.js)
+     with the service, a readable summary in the notes and the
+     selections attached as `quote`
+   - "placeholder": true in the pricing table marks the figures
+     as samples the owner hasn't confirmed: the widget says so
+     next to the range and in the summary it sends
+
+   Pricing table (see data/lawncare-pricing.json):
+     placeholder   true while the prices are samples (optional)
+     lotSizes      [{ id, label, detail, maxSqft }]  smallest first
+     maxSqft       above this: no range, "let's talk"
+     frequencies   [{ id, label, visitsPerMonth?, multiplier }]
+     base          always included
+     addOns        [{ id, label, per: "visit" | "service", detail? }]
+     base / add-on prices: { <lotSize id>: [low, high] }, plus
+     perExtra1000Sqft for lots bigger than the largest size
+
+   init(root = document, options)
+     options.siteRoot   base for the config path
+                        (default: the site root this file is in)
+   Returns { destroy() }   restores the fallback content
+===================================================================== */
+
+import { createScope, emptyHandle, queryAll } from "./lifecycle.js";
+
+const SITE_ROOT = new URL("../../", import.meta.url);
+
+/* =========================================================
+   1) PRICING
+========================================================= */
+const loadConfig = (path, siteRoot) => {
+  const url = new URL(path, siteRoot).href;
+
+  return fetch(url)
+    .then((res) => {
+      if (!res.ok) throw new Error(`${res.status} loading ${url}`);
+      return res.json();
+    })
+    .catch((err) => {
+      console.error("[price-estimator] could not load pricing:", err);
+      return null;
+    });
+};
+
+/**
+ * Price range of one line item for a lot.
+ * lot: { size, sqft } — sqft only matters past the largest size.
+ */
+const priceOf = (config, item, lot) => {
+  const largest = config.lotSizes[config.lotSizes.length - 1];
+  const [low, high] = item.prices[lot.size];
+
+  if (lot.size !== largest.id || !lot.sqft || lot.sqft <= largest.maxSqft) {
+    return [low, high];
+  }
+
+  const extra = (lot.sqft - largest.maxSqft) / 1000;
+  const [extraLow, extraHigh] = item.perExtra1000Sqft || [0, 0];
+  return [low + extra * extraLow, high + extra * extraHigh];
+};
+
+const sumRanges = (ranges) =>
+  ranges.reduce(([lo, hi], [a, b]) => [lo + a, hi + b], [0, 0]);
+
+const scaleRange = ([low, high], factor) => [low * factor, high * factor];
+
+/**
+ * Works out the quote for the current selections.
+ * Returns null when no lot size is known yet, { tooLarge } past
+ * config.maxSqft, otherwise per-visit / monthly / one-time ranges.
+ */
+const calculate = (config, selection) => {
+  const { sqft, size: pickedSize, frequency, addOns } = selection;
+
+  if (!sqft && !pickedSize) return null;
+  if (sqft > config.maxSqft) return { tooLarge: true };
+
+  const size = sqft
+    ? (config.lotSizes.find((s) => sqft <= s.maxSqft) ||
+        config.lotSizes[config.lotSizes.length - 1]).id
+    : pickedSize;
+
+  const lot = { size, sqft };
+  const plan = config.frequencies.find((f) => f.id === frequency) || config.frequencies[0];
+  const extras = config.addOns.filter((a) => addOns.includes(a.id));
+
+  const perVisit = scaleRange(
+    sumRanges(
+      [config.base, ...extras.filter((a) => a.per === "visit")].map((item) =>
+        priceOf(config, item, lot)
+      )
+    ),
+    plan.multiplier || 1
+  );
+
+  const services = extras.filter((a) => a.per === "service");
+
+  return {
+    size,
+    plan,
+    perVisit,
+    monthly: plan.visitsPerMonth ? scaleRange(perVisit, plan.visitsPerMonth) : null,
+    services,
+    oneTime: services.length
+      ? sumRanges(services.map((item) => priceOf(config, item, lot)))
+      : null,
+  };
+};
+
+/* =========================================================
+   2) FORMATTING
+========================================================= */
+const money = (value, roundTo) =>
+  `$${(Math.round(value / roundTo) * roundTo).toLocaleString("en-US")}`;
+
+const formatRange = ([low, high], roundTo = 5) => {
+  const a = money(low, roundTo);
+  const b = money(high, roundTo);
+  return a === b ? a : `${a} – ${b}`;
+};
+
+const listOf = (labels) =>
+  labels.length < 3
+    ? labels.join(" and ")
+    : `${labels.slice(0, -1).join(", ")} and ${labels[labels.length - 1]}`;
+
+// Plain-text version for the estimate request notes.
+const summarize = (config, selection, quote) => {
+  const size = config.lotSizes.find((s) => s.id === quote.size);
+  const lines = [
+    config.placeholder
+      ? "Ballpark from the price estimator (sample prices, not confirmed by ACP):"
+      : "Ballpark from the price estimator:",
+    `- Lot: ${selection.sqft ? `${selection.sqft.toLocaleString("en-US")} sq ft` : `${size.label} (${size.detail})`}`,
+    `- Visits: ${quote.plan.label}`,
+  ];
+
+  const addOns = config.addOns.filter((a) => selection.addOns.includes(a.id));
+  if (addOns.length) lines.push(`- Add-ons: ${addOns.map((a) => a.label).join(", ")}`);
+
+  lines.push(`- Per visit: ${formatRange(quote.perVisit, config.roundTo)}`);
+  if (quote.monthly) lines.push(`- Per month: about ${formatRange(quote.monthly, config.roundTo)}`);
+  if (quote.oneTime) lines.push(`- Seasonal services: ${formatRange(quote.oneTime, config.roundTo)}`);
+
+  return lines.join("\n");
+};
+
+/* =========================================================
+   3) MARKUP
+========================================================= */
+const choice = (type, name, value, label, detail, checked) => `
+  <label class="price-estimator__choice">
+    <input type="${type}" name="${name}" value="${value}"${checked ? " checked" : ""} />
+    <span>
+      <span class="price-estimator__choice-label">${label}</span>
+      ${detail ? `<span class="price-estimator__choice-detail">${detail}</span>` : ""}
+    </span>
+  </label>`;
+
+const renderForm = (config, id) => `
+  <form class="price-estimator__form" novalidate>
+    <fieldset class="price-estimator__group">
+      <legend class="price-estimator__legend">Lot size</legend>
+      <div class="price-estimator__choices">
+        ${config.lotSizes
+          .map((s) => choice("radio", "size", s.id, s.label, s.detail, false))
+          .join("")}
+      </div>
+      <label class="price-estimator__sqft" for="${id}-sqft">
+        <span>or enter square footage</span>
+        <input
+          class="price-estimator__input"
+          id="${id}-sqft"
+          name="sqft"
+          type="number"
+          inputmode="numeric"
+          min="500"
+          step="100"
+          placeholder="e.g. 8,000"
+        />
+      </label>
+    </fieldset>
+
+    <fieldset class="price-estimator__group">
+      <legend class="price-estimator__legend">How often</legend>
+      <div class="price-estimator__choices">
+        ${config.frequencies
+          .map((f, i) => choice("radio", "frequency", f.id, f.label, "", i === 0))
+          .join("")}
+      </div>
+    </fieldset>
+
+    <fieldset class="price-estimator__group">
+      <legend class="price-estimator__legend">Add-ons</legend>
+      <div class="price-estimator__choices">
+        ${config.addOns
+          .map((a) => choice("checkbox", "addOns", a.id, a.label, a.detail || "", false))
+          .join("")}
+      </div>
+    </fieldset>
+
+    ${
+      config.placeholder
+        ? `<p class="price-estimator__placeholder">
+      Sample prices: ACP hasn't set its rates here yet, so this is an
+      example, not a quote.
+    </p>`
+        : ""
+    }
+
+    <div class="price-estimator__result" role="status" aria-live="polite"></div>
+
+    <p class="price-estimator__note">
+      Ballpark only: your final price is set after we see the property.
+    </p>
+
+    <button class="price-estimator__send" type="submit" disabled>
+      Send this to ACP
+    </button>
+  </form>`;
+
+/* =========================================================
+   4) INIT
+========================================================= */
+let instances = 0;
+
+function mount(app, siteRoot, scope) {
+  const fallback = Array.from(app.childNodes);
+  const id = `price-estimator-${(instances += 1)}`;
+
+  loadConfig(app.dataset.priceEstimatorConfig, siteRoot).then((config) => {
+    if (!config || scope.isDestroyed()) return;
+
+    app.innerHTML = renderForm(config, id);
+    app.classList.add("is-ready");
+    scope.defer(() => {
+      app.classList.remove("is-ready");
+      app.replaceChildren(...fallback);
+    });
+
+    const form = app.querySelector("form");
+    const result = app.querySelector(".price-estimator__result");
+    const send = app.querySelector(".price-estimator__send");
+    const { signal } = scope;
+
+    const read = () => {
+      const data = new FormData(form);
+      return {
+        size: data.get("size") || "",
+        sqft: Math.max(0, Math.round(Number(data.get("sqft")) || 0)),
+        frequency: data.get("frequency") || "",
+        addOns: data.getAll("addOns"),
+      };
+    };
+
+    const render = () => {
+      const quote = calculate(config, read());
+      send.disabled = !quote;
+
+      if (!quote) {
+        result.innerHTML =
+          '<p class="price-estimator__hint">Pick a lot size to see a range.</p>';
+        return;
+      }
+
+      if (quote.tooLarge) {
+        result.innerHTML =
+          '<p class="price-estimator__hint">That\'s a big property! Send us the details and we\'ll price it properly.</p>';
+        return;
+      }
+
+      const rows = [
+        [
+          quote.plan.visitsPerMonth ? "Per visit" : "One-time cut",
+          formatRange(quote.perVisit, config.roundTo),
+        ],
+      ];
+      if (quote.monthly) {
+        rows.push(["About a month", formatRange(quote.monthly, config.roundTo)]);
+      }
+      if (quote.oneTime) {
+        rows.push([
+          `Plus ${listOf(quote.services.map((s) => s.label.toLowerCase()))}`,
+          formatRange(quote.oneTime, config.roundTo),
+        ]);
+      }
+
+      result.innerHTML = `<dl class="price-estimator__lines">${rows
+        .map(
+          ([label, value]) =>
+            `<div class="price-estimator__line"><dt>${label}</dt><dd>${value}</dd></div>`
+        )
+        .join("")}</dl>`;
+    };
+
+    // Size buttons and typed square footage replace each other.
+    form.addEventListener(
+      "input",
+      (e) => {
+        if (e.target.name === "sqft" && e.target.value) {
+          form.querySelectorAll('input[name="size"]').forEach((input) => {
+            input.checked = false;
+          });
+        } else if (e.target.name === "size") {
+          form.elements.sqft.value = "";
+        }
+
+        render();
+      },
+      { signal }
+    );
+
+    form.addEventListener(
+      "submit",
+      (e) => {
+        e.preventDefault();
+
+        const selection = read();
+        const quote = calculate(config, selection);
+        if (!quote) return;
+
+        // Too large to price: the request still carries the size.
+        const priced = !quote.tooLarge;
+        const notes = priced
+          ? summarize(config, selection, quote)
+          : `Price estimator: about ${selection.sqft.toLocaleString("en-US")} sq ft, please quote.`;
+
+        window.ACP?.analytics?.track(
+          "price_estimate_send",
+          {
+            service: config.service,
+            size: priced ? quote.size : null,
+            frequency: selection.frequency,
+            addOns: selection.addOns,
+          },
+          send
+        );
+
+        window.ACP?.estimate?.open({
+          service: config.service,
+          notes,
+          quote: {
+            ...selection,
+            size: priced ? quote.size : null,
+            perVisit: priced ? quote.perVisit.map(Math.round) : null,
+            monthly: priced && quote.monthly ? quote.monthly.map(Math.round) : null,
+            oneTime: priced && quote.oneTime ? quote.oneTime.map(Math.round) : null,
+          },
+        });
+      },
+      { signal }
+    );
+
+    render();
+  });
+}
+
+export function init(root = document, options = {}) {
+  const apps = queryAll(root, "[data-price-estimator]").filter(
+    (app) => app.dataset.priceEstimatorConfig
+  );
+  if (apps.length === 0) return emptyHandle();
+
+  const scope = createScope();
+  const siteRoot = options.siteRoot
+    ? new URL(options.siteRoot, window.location.href)
+    : SITE_ROOT;
+
+  apps.forEach((app) => mount(app, siteRoot, scope));
+
+  return { destroy: scope.destroy };
+}
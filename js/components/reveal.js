@@ -0,0 +1,58 @@
+/* =====================================================================
+   components/reveal.js — ACP Landscaping
+   Scroll Reveal (Reusable)
+
+   - Animates elements with [data-reveal] into view
+   - Reverses when scrolling back up
+   - Does not move the page (transform/opacity only)
+   - Reduced motion (js/motion.js, live): everything stays shown
+
+   init(root = document)
+   Returns { destroy() }   elements keep their current state
+===================================================================== */
+
+import { createScope, emptyHandle, queryAll } from "./lifecycle.js";
+
+export function init(root = document) {
+  const revealEls = queryAll(root, "[data-reveal]");
+  if (revealEls.length === 0) return emptyHandle();
+
+  const scope = createScope();
+
+  const isReduced = () => window.ACP?.motion?.reduced() ?? false;
+  const showAll = () => revealEls.forEach((el) => el.classList.add("is-visible"));
+
+  // Reduced motion: reveal instantly (and keep revealed)
+  scope.defer(
+    window.ACP?.motion?.subscribe((reduced) => {
+      if (reduced) showAll();
+    })
+  );
+
+  if (isReduced()) showAll();
+
+  if (!("IntersectionObserver" in window)) {
+    showAll();
+    return { destroy: scope.destroy };
+  }
+
+  const observer = new IntersectionObserver(
+    (entries) => {
+      if (isReduced()) return;
+
+      entries.forEach((entry) => {
+        entry.target.classList.toggle("is-visible", entry.isIntersecting);
+      });
+    },
+    {
+      // Trigger slightly before it's fully visible
+      rootMargin: "0px 0px -12% 0px",
+      threshold: 0.15,
+    }
+  );
+
+  revealEls.forEach((el) => observer.observe(el));
+  scope.defer(() => observer.disconnect());
+
+  return { destroy: scope.destroy };
+}
@@ -0,0 +1,114 @@
+/* =====================================================================
+   components/rule-pulse.js — ACP Landscaping
+   Checklist Title Rule Scroll Animation (Pulse Through Section)
+
+   - Expands as you scroll into the section
+   - Peaks around the middle
+   - Contracts as you scroll past
+   - Runs only when the section is near the viewport (performance):
+     subscribed to the frame scheduler (js/frame.js) only then
+   - Reduced motion (js/motion.js, live): rule snaps to 1
+
+   init(root = document)
+   Returns { destroy() }
+===================================================================== */
+
+import { createScope, emptyHandle, query } from "./lifecycle.js";
+
+export function init(root = document) {
+  const section = query(root, "#checklist");
+  if (!section) return emptyHandle();
+
+  const scope = createScope();
+
+  const isReduced = () => window.ACP?.motion?.reduced() ?? false;
+
+  // Local helpers (self-contained)
+  const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+
+  const setScale = (value) => () => section.style.setProperty("--ruleScale", value);
+
+  /**
+   * Updates --ruleScale based on where the section is in the viewport.
+   * Uses a "pulse" curve so it expands then contracts as you scroll through.
+   * Reads in the frame (the section's cached box, no layout),
+   * writes in the scheduler's write phase.
+   */
+  const updateRuleScale = (view) => {
+    // Reduced motion: keep the rule fully expanded
+    if (isReduced()) return setScale("1");
+
+    const box = window.ACP.frame.measure(section);
+    const top = box.top - view.scrollY;
+    const vh = view.visualHeight;
+
+    // Use a stable height reference for progress math
+    const sectionHeight = box.height || 1;
+
+    /* --------------------------------------------------------
+       SECTION PROGRESS (0..1)
+       p=0 when the section just starts entering the viewport
+       p=1 when the section is fully past the viewport (exiting)
+    -------------------------------------------------------- */
+    const start = vh;                 // section top aligned with bottom of viewport
+    const end = -sectionHeight;       // section bottom aligned with top of viewport
+
+    const rawProgress = (start - top) / (start - end);
+    const p = clamp(rawProgress, 0, 1);
+
+    /* --------------------------------------------------------
+       PULSE: 0 → 1 → 0 across the scroll
+       sin(pi * p) peaks at p=0.5 (middle of section).
+    -------------------------------------------------------- */
+    const pulse = Math.sin(Math.PI * p);
+
+    // Gentle easing so it feels less mechanical
+    const eased = 1 - Math.pow(1 - pulse, 2.2);
+
+    return setScale(eased.toFixed(3));
+  };
+
+  let unsubscribe = null;
+
+  const setActive = (active) => {
+    if (active && !unsubscribe) {
+      unsubscribe = window.ACP?.frame?.subscribe(updateRuleScale) || null;
+    } else if (!active && unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+  };
+
+  // Only animate while the section is near the viewport
+  const onIntersect = (entries) => {
+    setActive(!!entries[0]?.isIntersecting);
+  };
+
+  if ("IntersectionObserver" in window) {
+    const observer = new IntersectionObserver(onIntersect, {
+      // Activate slightly before it appears and keep active slightly after
+      rootMargin: "30% 0px 30% 0px",
+      threshold: 0.01,
+    });
+
+    observer.observe(section);
+    scope.defer(() => observer.disconnect());
+  } else {
+    // Fallback: always active (older browsers)
+    setActive(true);
+  }
+
+  scope.defer(() => setActive(false));
+
+  // Reduced motion snaps the rule even while it's off-screen.
+  scope.defer(
+    window.ACP?.motion?.subscribe((reduced) => {
+      if (reduced) setScale("1")();
+      else window.ACP?.frame?.request();
+    })
+  );
+
+  if (isReduced()) setScale("1")();
+
+  return { destroy: scope.destroy };
+}
@@ -0,0 +1,218 @@
+/* =====================================================================
+   components/seasonal.js — ACP Landscaping
+   Seasonal Service Recommendations
+
+   - Service cards carry their Western New York window(s) as data:
+       <article class="service-card" data-season="08-20/10-15">
+     "MM-DD/MM-DD", several separated by spaces; a window may wrap
+     the new year ("11-15/03-15"). Cards without it are year-round.
+   - In season now: highlighted + "In season" badge
+   - Window starting within LEAD_DAYS: "Book now for fall" badge
+     (named after the month the window opens)
+   - In-season cards move first, then upcoming ones; otherwise the
+     markup order is kept
+   - Renders a 12-month calendar strip under the cards
+
+   init(root = document, options)
+     options.today   Date to compute from (default: now)
+   Returns { destroy() }   restores the card order and markup
+===================================================================== */
+
+import { createScope, emptyHandle, queryAll } from "./lifecycle.js";
+
+const LEAD_DAYS = 42;
+
+const MONTHS = [
+  "Jan", "Feb", "Mar", "Apr", "May", "Jun",
+  "Jul", "Aug", "Sep", "Oct", "Nov", "Dec",
+];
+
+// Day of a fixed non-leap year (0-364); Feb 29 counts as Feb 28.
+const dayOfYear = (month, day) =>
+  (Date.UTC(2001, month - 1, Math.min(day, month === 2 ? 28 : day)) -
+    Date.UTC(2001, 0, 1)) /
+  86400000;
+
+const MONTH_STARTS = MONTHS.map((_, i) => dayOfYear(i + 1, 1));
+
+const parseDay = (value) => {
+  const [month, day] = value.split("-").map(Number);
+  return dayOfYear(month, day);
+};
+
+// "04-15/05-31 08-20/10-15" -> [{ start, end }, ...]
+const parseWindows = (value) =>
+  String(value || "")
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map((range) => {
+      const [start, end] = range.split("/").map(parseDay);
+      return { start, end };
+    })
+    .filter(({ start, end }) => Number.isFinite(start) && Number.isFinite(end));
+
+const contains = ({ start, end }, day) =>
+  start <= end ? day >= start && day <= end : day >= start || day <= end;
+
+const daysUntil = (from, to) => (to - from + 365) % 365;
+
+// Named after the month a window opens. August counts as fall:
+// late-summer aeration / overseeding is booked as fall work.
+const SEASON_BY_MONTH = [
+  "winter", "winter", "spring", "spring", "spring", "summer",
+  "summer", "fall", "fall", "fall", "fall", "winter",
+];
+
+const seasonName = ({ start }) =>
+  SEASON_BY_MONTH[MONTH_STARTS.filter((first) => first <= start).length - 1];
+
+const monthLength = (m) => (m === 11 ? 365 : MONTH_STARTS[m + 1]) - MONTH_STARTS[m];
+
+// Days of month m (0-11) a window covers.
+const overlapDays = (range, m) => {
+  let days = 0;
+  for (let day = MONTH_STARTS[m]; day < MONTH_STARTS[m] + monthLength(m); day += 1) {
+    if (contains(range, day)) days += 1;
+  }
+  return days;
+};
+
+export function init(root = document, options = {}) {
+  const cards = queryAll(root, ".service-card[data-season]");
+  if (cards.length === 0) return emptyHandle();
+
+  const scope = createScope();
+
+  const now = options.today || new Date();
+  const today = dayOfYear(now.getMonth() + 1, now.getDate());
+
+  /* --------------------------------------------------------
+     Card state
+  -------------------------------------------------------- */
+  const states = cards.map((card) => {
+    const windows = parseWindows(card.dataset.season);
+    const inSeason = windows.some((w) => contains(w, today));
+
+    const next = inSeason
+      ? null
+      : windows
+          .map((w) => ({ window: w, days: daysUntil(today, w.start) }))
+          .sort((a, b) => a.days - b.days)[0];
+
+    const upcoming = next && next.days <= LEAD_DAYS ? seasonName(next.window) : null;
+
+    return {
+      card,
+      windows,
+      inSeason,
+      upcoming,
+      rank: inSeason ? 0 : upcoming ? 1 : 2,
+    };
+  });
+
+  const addBadge = (card, modifier, text) => {
+    const badge = document.createElement("span");
+    badge.className = `season-badge season-badge--${modifier}`;
+    badge.textContent = text;
+    card.prepend(badge);
+    scope.defer(() => badge.remove());
+  };
+
+  states.forEach(({ card, inSeason, upcoming }) => {
+    if (inSeason) {
+      card.classList.add("is-in-season");
+      addBadge(card, "now", "In season");
+    } else if (upcoming) {
+      card.classList.add("is-upcoming");
+      addBadge(card, "soon", `Book now for ${upcoming}`);
+    }
+  });
+
+  scope.defer(() =>
+    cards.forEach((card) => card.classList.remove("is-in-season", "is-upcoming"))
+  );
+
+  /* --------------------------------------------------------
+     In season first (per grid; stable otherwise)
+  -------------------------------------------------------- */
+  const grids = new Set(cards.map((card) => card.parentElement));
+
+  grids.forEach((grid) => {
+    const original = Array.from(grid.children);
+    const rankOf = (el) => states.find((s) => s.card === el)?.rank ?? 2;
+
+    original
+      .map((el, index) => ({ el, index }))
+      .sort((a, b) => rankOf(a.el) - rankOf(b.el) || a.index - b.index)
+      .forEach(({ el }) => grid.appendChild(el));
+
+    scope.defer(() => original.forEach((el) => grid.appendChild(el)));
+  });
+
+  /* --------------------------------------------------------
+     Calendar strip (one row per seasonal service)
+  -------------------------------------------------------- */
+  grids.forEach((grid) => {
+    const rows = states.filter((s) => s.card.parentElement === grid && s.windows.length);
+    if (rows.length === 0) return;
+
+    const currentMonth = now.getMonth();
+
+    const strip = document.createElement("div");
+    strip.className = "season-calendar";
+
+    const table = document.createElement("table");
+    table.className = "season-calendar__table";
+
+    const caption = document.createElement("caption");
+    caption.className = "season-calendar__caption";
+    caption.textContent = "When we do it in Western New York";
+    table.appendChild(caption);
+
+    const head = table.createTHead().insertRow();
+    const corner = document.createElement("th");
+    corner.scope = "col";
+    corner.innerHTML = '<span class="sr-only">Service</span>';
+    head.appendChild(corner);
+
+    MONTHS.forEach((month, m) => {
+      const th = document.createElement("th");
+      th.scope = "col";
+      th.textContent = month;
+      if (m === currentMonth) th.classList.add("is-current");
+      head.appendChild(th);
+    });
+
+    const body = table.createTBody();
+
+    rows.forEach(({ card, windows }) => {
+      const row = body.insertRow();
+
+      const name = document.createElement("th");
+      name.scope = "row";
+      name.textContent = card.querySelector("h3")?.textContent.trim() || "";
+      row.appendChild(name);
+
+      MONTHS.forEach((_, m) => {
+        const cell = row.insertCell();
+        const covered = windows.reduce((sum, w) => sum + overlapDays(w, m), 0);
+        const partial = covered < monthLength(m) / 2;
+
+        if (m === currentMonth) cell.classList.add("is-current");
+
+        if (covered > 0) {
+          cell.classList.add(partial ? "is-partial" : "is-active");
+          cell.innerHTML = `<span class="sr-only">${
+            partial ? "Part of the month" : "In season"
+          }</span>`;
+        }
+      });
+    });
+
+    strip.appendChild(table);
+    grid.after(strip);
+    scope.defer(() => strip.remove());
+  });
+
+  return { destroy: scope.destroy };
+}
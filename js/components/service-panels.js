@@ -0,0 +1,50 @@
+/* =====================================================================
+   components/service-panels.js — ACP Landscaping
+   Service Panels: In-view Reveal Only (No Parallax)
+
+   - Adds .is-visible for the content fade-in
+   - Zero transform work on scroll (mobile-safe)
+   - Reduced motion (js/motion.js, live): everything shows at once
+
+   init(root = document)
+   Returns { destroy() }   panels already shown stay shown
+===================================================================== */
+
+import { createScope, emptyHandle, queryAll } from "./lifecycle.js";
+
+export function init(root = document) {
+  const panels = queryAll(root, ".service-panel");
+  if (panels.length === 0) return emptyHandle();
+
+  const showAll = () => panels.forEach((p) => p.classList.add("is-visible"));
+
+  if (window.ACP?.motion?.reduced() || !("IntersectionObserver" in window)) {
+    showAll();
+    return emptyHandle();
+  }
+
+  const scope = createScope();
+
+  const observer = new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting) entry.target.classList.add("is-visible");
+      });
+    },
+    { rootMargin: "18% 0px 18% 0px", threshold: 0.01 }
+  );
+
+  panels.forEach((p) => observer.observe(p));
+  scope.defer(() => observer.disconnect());
+
+  // Reveals only ever add the class, so once reduced we're done.
+  scope.defer(
+    window.ACP?.motion?.subscribe((reduced) => {
+      if (!reduced) return;
+      showAll();
+      scope.destroy();
+    })
+  );
+
+  return { destroy: scope.destroy };
+}
@@ -0,0 +1,353 @@
+/* =====================================================================
+   components/takeover.js — ACP Landscaping
+   Takeover Scroll-Spy Rail + Panel Stepping (homepage)
+
+   - One dot per .stack-panel; highlights the panel on top
+   - Click a dot to jump to that panel
+   - Keeps the URL hash in step (#design) while in the stack
+   - Mirrors the active panel in the header nav (.is-section),
+     matched through nav.js's data-nav-page / data-nav-section
+   - Optional stepping (data-takeover-snap on the scene): keys
+     and wheel gestures move exactly one panel at a time
+
+   init(root = document, options)
+     options.ready   Promise to wait for before an initial #hash
+                     jump (default: window.ACP.intro.done)
+   Returns { jumpTo(index), destroy() }
+===================================================================== */
+
+import { createScope, emptyHandle, query } from "./lifecycle.js";
+
+export function init(root = document, options = {}) {
+  const scene = query(root, "#takeoverScene");
+  if (!scene) return emptyHandle();
+
+  const panels = Array.from(scene.querySelectorAll(":scope > .stack-panel"));
+  if (panels.length === 0 || !window.ACP?.frame) return emptyHandle();
+
+  const scope = createScope();
+  const { signal } = scope;
+
+  const isReduced = () => window.ACP?.motion?.reduced() ?? false;
+
+  /* -----------------------------
+     Rail markup
+  ------------------------------ */
+  const rail = document.createElement("nav");
+  rail.className = "takeover-rail";
+  rail.setAttribute("aria-label", "Homepage sections");
+
+  const dots = panels.map((panel, index) => {
+    const label = panel.getAttribute("aria-label") || `Section ${index + 1}`;
+
+    const dot = document.createElement("a");
+    dot.className = "takeover-rail__dot";
+    dot.href = `#${panel.id}`;
+    dot.setAttribute("aria-label", `${label} (${index + 1} of ${panels.length})`);
+
+    const tip = document.createElement("span");
+    tip.className = "takeover-rail__label";
+    tip.setAttribute("aria-hidden", "true");
+    tip.textContent = label;
+    dot.appendChild(tip);
+
+    rail.appendChild(dot);
+    return dot;
+  });
+
+  scene.after(rail);
+  scope.defer(() => rail.remove());
+
+  /* -----------------------------
+     Geometry
+     Panel boxes come from the frame scheduler's cache (sticky
+     panels measured where they sit in the flow), so nothing
+     here reads layout between resizes. The tops list is rebuilt
+     only when that cache has been cleared.
+  ------------------------------ */
+  const { measure } = window.ACP.frame;
+  let geometry = null;
+
+  const getGeometry = () => {
+    const sceneBox = measure(scene);
+    if (geometry?.sceneBox === sceneBox) return geometry;
+
+    // tops[panels.length] is where the stack ends.
+    const tops = panels.map((panel) => measure(panel).top);
+    tops.push(measure(panels[panels.length - 1]).bottom);
+
+    geometry = { sceneBox, tops, bottom: sceneBox.bottom };
+    return geometry;
+  };
+
+  const panelScrollTop = (index) => getGeometry().tops[index];
+
+  // Last panel whose top is at or above y (binary search), or -1.
+  const panelAt = (y) => {
+    const { tops } = getGeometry();
+    let low = 0;
+    let high = panels.length - 1;
+    let found = -1;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (tops[mid] <= y) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return found;
+  };
+
+  /* -----------------------------
+     Render
+  ------------------------------ */
+  const headerLinks = Array.from(document.querySelectorAll(".site-header__nav a"));
+  const linkFor = (id) =>
+    headerLinks.find((link) => link.dataset.navSection === id) ||
+    headerLinks.find((link) => link.dataset.navPage === id && !link.dataset.navSection);
+
+  let current = -1;
+  let unsubscribe = null;
+
+  const setHash = (id) => {
+    const url = id ? `#${id}` : window.location.pathname + window.location.search;
+    history.replaceState(history.state, "", url);
+  };
+
+  // Frame subscriber: reads cached geometry, then hands back the DOM updates
+  // for the scheduler's write phase.
+  const render = (view) => {
+    const { tops, bottom } = getGeometry();
+    const middle = view.scrollY + view.height / 2;
+    const next = tops[0] < middle && bottom > middle ? panelAt(middle) : -1;
+
+    return () => paint(next);
+  };
+
+  const paint = (next) => {
+    rail.classList.toggle("is-visible", next !== -1);
+    if (next === current) return;
+
+    const prevId = panels[current]?.id;
+    current = next;
+
+    dots.forEach((dot, index) => {
+      const isActive = index === current;
+      dot.classList.toggle("is-active", isActive);
+      if (isActive) dot.setAttribute("aria-current", "step");
+      else dot.removeAttribute("aria-current");
+    });
+
+    headerLinks.forEach((link) => link.classList.remove("is-section"));
+
+    const id = panels[current]?.id;
+    if (id) linkFor(id)?.classList.add("is-section");
+
+    // Only touch the hash while it's ours (don't clobber #locations etc.).
+    const hash = window.location.hash.slice(1);
+    if (id) setHash(id);
+    else if (prevId && hash === prevId) setHash("");
+  };
+
+  const track = (active) => {
+    if (active && !unsubscribe) {
+      unsubscribe = window.ACP?.frame?.subscribe(render) || null;
+    } else if (!active && unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+  };
+
+  /* -----------------------------
+     Jump to a panel
+  ------------------------------ */
+  const jumpTo = (index, behavior) => {
+    window.scrollTo({
+      top: panelScrollTop(index),
+      behavior: behavior || (isReduced() ? "auto" : "smooth"),
+    });
+  };
+
+  scope.defer(() => {
+    track(false);
+    headerLinks.forEach((link) => link.classList.remove("is-section"));
+  });
+
+  dots.forEach((dot, index) => {
+    dot.addEventListener(
+      "click",
+      (e) => {
+        e.preventDefault();
+        jumpTo(index);
+      },
+      { signal }
+    );
+  });
+
+  /* -----------------------------
+     Panel stepping (opt-in)
+     - PageUp / PageDown, arrows, Space and one wheel / trackpad
+       gesture = one panel, with an eased scroll.
+     - Off on small screens, with reduced motion and while the
+       intro, a dialog or the mobile menu is open.
+     - Outside the stack (hero, locations) scrolling is native.
+  ------------------------------ */
+  const STEP_MS = 650;
+  const WHEEL_IDLE_MS = 180;
+  const smallScreen = window.matchMedia?.("(max-width: 900px)");
+
+  const snapEnabled = () =>
+    "takeoverSnap" in scene.dataset &&
+    !isReduced() &&
+    !smallScreen?.matches &&
+    !window.ACP?.intro?.isOpen() &&
+    !document.documentElement.matches(
+      ".estimate-open, .menu-open, .lightbox-open, .consent-open, .contact-open"
+    );
+
+  const easeInOutCubic = (t) =>
+    t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+  let stepping = false;
+
+  // The SERVICE PANELS observer can miss panels flown past mid-step,
+  // so every panel at or above the landing point is revealed too.
+  const revealUpTo = (y) => {
+    panels.forEach((panel, index) => {
+      if (panel.classList.contains("service-panel") && panelScrollTop(index) <= y + 2) {
+        panel.classList.add("is-visible");
+      }
+    });
+  };
+
+  const animateTo = (top) => {
+    const from = window.scrollY;
+    const distance = top - from;
+    const start = performance.now();
+
+    stepping = true;
+
+    const frame = (now) => {
+      const t = Math.min(1, (now - start) / STEP_MS);
+      window.scrollTo(0, from + distance * easeInOutCubic(t));
+
+      if (t < 1 && !scope.isDestroyed()) {
+        window.requestAnimationFrame(frame);
+        return;
+      }
+
+      stepping = false;
+      revealUpTo(top);
+    };
+
+    window.requestAnimationFrame(frame);
+  };
+
+  // Scroll target for one step, or null to leave it to the browser.
+  const stepTarget = (direction) => {
+    const y = window.scrollY;
+    const { tops } = getGeometry();
+    const end = tops[panels.length];
+
+    if (y < tops[0] - 2 || y >= end - 2) return null;
+
+    const base = Math.max(0, panelAt(y + 2));
+
+    if (direction > 0) return base + 1 < panels.length ? tops[base + 1] : end;
+
+    // Half-covered panel: first settle back onto it.
+    if (y - tops[base] > 2) return tops[base];
+    return base > 0 ? tops[base - 1] : null;
+  };
+
+  const step = (direction) => {
+    const top = stepTarget(direction);
+    if (top === null) return false;
+
+    animateTo(top);
+    return true;
+  };
+
+  const STEP_KEYS = { PageDown: 1, ArrowDown: 1, PageUp: -1, ArrowUp: -1, " ": 1 };
+
+  const onKeydown = (e) => {
+    if (!(e.key in STEP_KEYS) || e.defaultPrevented) return;
+    if (e.altKey || e.ctrlKey || e.metaKey || !snapEnabled()) return;
+
+    // Leave typing, sliders and buttons (Space = press) alone.
+    if (e.target.closest?.("input, textarea, select, [contenteditable], [role='slider']")) return;
+    if (e.key === " " && e.target.closest?.("button")) return;
+
+    const direction = e.key === " " && e.shiftKey ? -1 : STEP_KEYS[e.key];
+
+    if (stepping || step(direction)) e.preventDefault();
+  };
+
+  window.addEventListener("keydown", onKeydown, { signal });
+
+  // One gesture = one step: the rest of it (incl. trackpad inertia)
+  // is swallowed until the wheel has been quiet for a moment.
+  let wheelLocked = false;
+  let wheelTimer = null;
+  scope.defer(() => window.clearTimeout(wheelTimer));
+
+  window.addEventListener(
+    "wheel",
+    (e) => {
+      if (e.ctrlKey || !snapEnabled()) return;
+      if (Math.abs(e.deltaY) < Math.abs(e.deltaX)) return;
+
+      window.clearTimeout(wheelTimer);
+      wheelTimer = window.setTimeout(() => {
+        wheelLocked = false;
+      }, WHEEL_IDLE_MS);
+
+      if (wheelLocked || stepping) {
+        e.preventDefault();
+        return;
+      }
+
+      if (e.deltaY !== 0 && step(Math.sign(e.deltaY))) {
+        wheelLocked = true;
+        e.preventDefault();
+      }
+    },
+    { passive: false, signal }
+  );
+
+  /* -----------------------------
+     Only track while the stack is near the viewport
+  ------------------------------ */
+  const onIntersect = (entries) => {
+    const inScene = !!entries[0]?.isIntersecting;
+    track(inScene);
+
+    // Left the stack: hide the rail and let go of the hash.
+    if (!inScene) paint(-1);
+  };
+
+  if ("IntersectionObserver" in window) {
+    const observer = new IntersectionObserver(onIntersect, { threshold: 0 });
+    observer.observe(scene);
+    scope.defer(() => observer.disconnect());
+  } else {
+    track(true);
+  }
+
+  // A link like "/#design" lands on the right panel (the native
+  // jump can't account for sticky stacking). Waits for the intro.
+  const initial = panels.findIndex((panel) => `#${panel.id}` === window.location.hash);
+  const ready = options.ready || window.ACP?.intro?.done || Promise.resolve();
+
+  ready.then(() => {
+    if (scope.isDestroyed()) return;
+    if (initial !== -1) jumpTo(initial, "auto");
+    window.ACP?.frame?.request();
+  });
+
+  return { jumpTo, destroy: scope.destroy };
+}
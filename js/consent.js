@@ -0,0 +1,356 @@
+/* =====================================================================
+   consent.js — ACP Landscaping
+   Purpose:
+   - Asks first-time visitors what the site may store / track
+     (banner), with a preferences panel that can be reopened from
+     any [data-consent-open] button (footer "Privacy choices")
+   - Categories:
+       necessary    always on: remembers this choice, and that the
+                    intro overlay was seen in this tab (sessionStorage)
+       preferences  remembered settings: intro overlay, reduce motion,
+                    estimate drafts
+       analytics    js/analytics.js event delivery + its queue
+   - Choices are stored with POLICY_VERSION; bumping it re-prompts
+   - Other scripts ask before touching storage or sending events
+
+   Structure:
+   1) Config
+   2) Stored choices
+   3) Gated storage
+   4) Banner + preferences panel
+   5) Public API (window.ACP.consent)
+
+   API (window.ACP.consent):
+     allows(category)           true when the visitor agreed
+     decided()                  false until the visitor has chosen
+     subscribe(fn)              fn(choices) on every change; returns unsubscribe
+     storage(category, area)    Storage-like ("local" | "session"); in-memory
+                                for this page when the category is declined
+     save(choices)              { preferences, analytics }
+     open()                     show the preferences panel
+
+   Notes:
+   - Loaded first in <head>; the banner is built once the DOM is
+     ready and waits for the intro overlay (window.ACP.intro) to go;
+     main.js mounts it asynchronously, so window.ACP.ready first.
+===================================================================== */
+
+(function () {
+  "use strict";
+
+  /* =========================================================
+     1) CONFIG
+  ========================================================= */
+  // Bump when the policy changes: everyone is asked again.
+  const POLICY_VERSION = 1;
+
+  const STORAGE_KEY = "acp_consent";
+
+  const CATEGORIES = [
+    {
+      id: "necessary",
+      label: "Necessary",
+      description:
+        "Remembers this choice, and that you've seen the welcome screen " +
+        "during this visit. Nothing else is kept without your OK.",
+      locked: true,
+    },
+    {
+      id: "preferences",
+      label: "Preferences",
+      description:
+        "Remembers settings like reduced motion, a half-finished estimate " +
+        "and whether you've already seen the welcome screen.",
+    },
+    {
+      id: "analytics",
+      label: "Analytics",
+      description:
+        "Counts anonymous clicks (calls, estimate buttons, gallery use) so " +
+        "we can tell what's helpful. No ads, nothing sold.",
+    },
+  ];
+
+  // Keys each optional category owns; cleared when it's declined.
+  const OWNED_KEYS = {
+    // acp_intro_seen (session) is necessary, so not listed.
+    preferences: ["acp_intro_shown:", "acp_intro_dismissed:", "acp_motion", "acp_estimate_draft"],
+    analytics: ["acp_analytics_"],
+  };
+
+  /* =========================================================
+     2) STORED CHOICES
+     Storage can throw (privacy modes); choices then last for
+     this page only and the banner shows again next time.
+  ========================================================= */
+  const readChoices = () => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return saved?.version === POLICY_VERSION ? saved : null;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  let choices = readChoices();
+  const listeners = new Set();
+
+  const allows = (category) =>
+    category === "necessary" || choices?.[category] === true;
+
+  const clearOwnedKeys = (category) => {
+    [window.localStorage, window.sessionStorage].forEach((area) => {
+      try {
+        Object.keys(area)
+          .filter((key) => OWNED_KEYS[category].some((prefix) => key.startsWith(prefix)))
+          .forEach((key) => area.removeItem(key));
+      } catch (err) {
+        /* storage unavailable: nothing to clear */
+      }
+    });
+  };
+
+  const save = (next) => {
+    choices = {
+      version: POLICY_VERSION,
+      preferences: !!next.preferences,
+      analytics: !!next.analytics,
+      updated: new Date().toISOString(),
+    };
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(choices));
+    } catch (err) {
+      /* not persisted; applies to this page */
+    }
+
+    Object.keys(OWNED_KEYS).forEach((category) => {
+      if (!allows(category)) clearOwnedKeys(category);
+    });
+
+    listeners.forEach((fn) => {
+      try {
+        fn({ ...choices });
+      } catch (err) {
+        console.error("[consent] listener failed:", err);
+      }
+    });
+  };
+
+  const subscribe = (fn) => {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  };
+
+  /* =========================================================
+     3) GATED STORAGE
+     Same getItem / setItem / removeItem calls either way, so
+     callers don't branch; declined categories get a Map that
+     lives as long as the page.
+  ========================================================= */
+  const memory = new Map();
+
+  const memoryArea = (name) => {
+    if (!memory.has(name)) memory.set(name, new Map());
+    const map = memory.get(name);
+
+    return {
+      getItem: (key) => (map.has(key) ? map.get(key) : null),
+      setItem: (key, value) => map.set(key, String(value)),
+      removeItem: (key) => map.delete(key),
+    };
+  };
+
+  const storage = (category, area = "local") => {
+    const name = `${category}:${area}`;
+
+    const target = () => {
+      if (!allows(category)) return memoryArea(name);
+      return area === "session" ? window.sessionStorage : window.localStorage;
+    };
+
+    return {
+      getItem: (key) => target().getItem(key),
+      setItem: (key, value) => target().setItem(key, value),
+      removeItem: (key) => target().removeItem(key),
+    };
+  };
+
+  /* =========================================================
+     4) BANNER + PREFERENCES PANEL
+  ========================================================= */
+  let banner = null;
+  let panel = null;
+  let lastFocus = null;
+
+  const closeBanner = () => {
+    if (banner) banner.hidden = true;
+  };
+
+  const buildBanner = () => {
+    banner = document.createElement("section");
+    banner.className = "consent-banner";
+    banner.setAttribute("aria-label", "Privacy choices");
+    banner.innerHTML = `
+      <p class="consent-banner__text">
+        We store a few settings in your browser and, if you agree, count
+        anonymous clicks to improve the site.
+      </p>
+      <div class="consent-banner__actions">
+        <button class="consent__btn consent__btn--ghost" type="button" data-consent-action="prefs">Choose</button>
+        <button class="consent__btn consent__btn--ghost" type="button" data-consent-action="reject">Necessary only</button>
+        <button class="consent__btn" type="button" data-consent-action="accept">Accept all</button>
+      </div>`;
+
+    banner.addEventListener("click", (e) => {
+      const action = e.target.closest("[data-consent-action]")?.dataset.consentAction;
+      if (!action) return;
+
+      if (action === "prefs") {
+        open();
+        return;
+      }
+
+      save({ preferences: action === "accept", analytics: action === "accept" });
+      closeBanner();
+    });
+
+    document.body.appendChild(banner);
+  };
+
+  const buildPanel = () => {
+    panel = document.createElement("div");
+    panel.className = "consent";
+    panel.hidden = true;
+    panel.innerHTML = `
+      <div class="consent__backdrop" data-consent-close></div>
+      <div class="consent__dialog" role="dialog" aria-modal="true" aria-labelledby="consentTitle">
+        <button class="consent__close" type="button" aria-label="Close" data-consent-close>&times;</button>
+        <h2 class="consent__title" id="consentTitle">Privacy choices</h2>
+        <form class="consent__form">
+          ${CATEGORIES.map(
+            (category) => `
+            <label class="consent__option">
+              <input type="checkbox" name="${category.id}"${category.locked ? " checked disabled" : ""} />
+              <span class="consent__option-text">
+                <span class="consent__option-label">${category.label}${category.locked ? " (always on)" : ""}</span>
+                <span class="consent__option-desc">${category.description}</span>
+              </span>
+            </label>`
+          ).join("")}
+          <div class="consent__actions">
+            <button class="consent__btn consent__btn--ghost" type="button" data-consent-all>Accept all</button>
+            <button class="consent__btn" type="submit">Save choices</button>
+          </div>
+        </form>
+      </div>`;
+
+    const form = panel.querySelector("form");
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      save({
+        preferences: form.elements.preferences.checked,
+        analytics: form.elements.analytics.checked,
+      });
+      close();
+    });
+
+    panel.querySelector("[data-consent-all]").addEventListener("click", () => {
+      save({ preferences: true, analytics: true });
+      close();
+    });
+
+    panel.addEventListener("click", (e) => {
+      if (e.target.closest("[data-consent-close]")) close();
+    });
+
+    panel.addEventListener("keydown", onKeydown);
+
+    document.body.appendChild(panel);
+  };
+
+  // ESC closes; Tab stays inside the dialog.
+  function onKeydown(e) {
+    if (e.key === "Escape") {
+      close();
+      return;
+    }
+
+    if (e.key !== "Tab") return;
+
+    const focusable = Array.from(
+      panel.querySelectorAll("button, input:not([disabled])")
+    );
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  function open() {
+    if (!panel) buildPanel();
+
+    const form = panel.querySelector("form");
+    form.elements.preferences.checked = allows("preferences");
+    form.elements.analytics.checked = allows("analytics");
+
+    lastFocus = document.activeElement;
+    panel.hidden = false;
+    document.documentElement.classList.add("consent-open");
+    form.elements.preferences.focus();
+  }
+
+  function close() {
+    if (!panel || panel.hidden) return;
+
+    panel.hidden = true;
+    document.documentElement.classList.remove("consent-open");
+
+    // Saved from the panel: the banner's question is answered.
+    if (choices) closeBanner();
+
+    lastFocus?.focus?.();
+  }
+
+  const init = () => {
+    document.querySelectorAll("[data-consent-open]").forEach((btn) => {
+      btn.addEventListener("click", open);
+      btn.hidden = false;
+    });
+
+    if (choices) return;
+
+    // The intro overlay is modal; ask once it has gone.
+    Promise.resolve(window.ACP?.ready)
+      .then(() => window.ACP?.intro?.done)
+      .then(() => {
+        if (!choices) buildBanner();
+      });
+  };
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+
+  /* =========================================================
+     5) PUBLIC API
+  ========================================================= */
+  window.ACP = window.ACP || {};
+  window.ACP.consent = {
+    allows,
+    decided: () => !!choices,
+    subscribe,
+    storage,
+    save,
+    open,
+  };
+})();
@@ -0,0 +1,501 @@
+/* =====================================================================
+   contact.js — ACP Landscaping
+   Purpose:
+   - Turns the header "Contact Us" button into a contact drawer:
+     call, text, email or request an estimate
+   - Contact details, business hours, seasonal hours and holidays
+     come from data/contact.json. Only what the owner has confirmed
+     goes in there: without "email" there's no email option, and
+     without "hours" there's no hours list or open / closed status.
+   - With hours: a live "Open now / Opens Monday 7am" status, always
+     worked out in the business's time zone (not the visitor's),
+     and after hours the drawer leads with the estimate form
+     instead of the phone
+
+   Structure:
+   1) Data loading
+   2) Zoned time (calendar date + minutes in America/New_York)
+   3) Hours (holiday > season > regular week)
+   4) Status
+   5) Drawer markup + rendering
+   6) Open / close + CTA wiring
+   7) Public API (window.ACP.contact)
+
+   Notes:
+   - The button keeps its tel: href, so without JavaScript (or if
+     the data set fails to load) it still places a call. Keep it
+     the same number as "phone" in data/contact.json.
+   - Any [data-contact-open] element opens the drawer too.
+   - The estimate option hands off to js/estimate.js through
+     [data-estimate-open]; load this script after it.
+===================================================================== */
+
+(function () {
+  "use strict";
+
+  /* =========================================================
+     1) DATA LOADING
+     Resolved relative to this script so it works for both
+     "/residential/" and "residential.html" style pages.
+  ========================================================= */
+  const DATA_URL = new URL(
+    "../data/contact.json",
+    document.currentScript?.src || window.location.href
+  ).href;
+
+  const TRIGGER_SELECTOR = ".contact-btn, [data-contact-open]";
+
+  // Status is refreshed this often while the drawer is open.
+  const REFRESH_MS = 30000;
+
+  // "Closing soon" inside this many minutes of closing time.
+  const CLOSING_SOON = 60;
+
+  let config = null;
+
+  const ready = fetch(DATA_URL)
+    .then((res) => {
+      if (!res.ok) throw new Error(`${res.status} loading ${DATA_URL}`);
+      return res.json();
+    })
+    .then((data) => {
+      config = data;
+      return data;
+    })
+    .catch((err) => {
+      console.error("[contact] could not load contact data:", err);
+      return null;
+    });
+
+  /* =========================================================
+     2) ZONED TIME
+     Everything below works on the business's wall clock:
+     a "YYYY-MM-DD" date plus minutes since midnight. Calendar
+     maths uses noon UTC so DST changes never shift the day.
+  ========================================================= */
+  const DAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+  const DAY_NAMES = [
+    "Sunday",
+    "Monday",
+    "Tuesday",
+    "Wednesday",
+    "Thursday",
+    "Friday",
+    "Saturday",
+  ];
+
+  const zonedNow = (timeZone, now = new Date()) => {
+    const parts = {};
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(now)
+      .forEach((part) => {
+        parts[part.type] = part.value;
+      });
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      minutes: (Number(parts.hour) % 24) * 60 + Number(parts.minute),
+    };
+  };
+
+  const calendarDay = (date) => new Date(`${date}T12:00:00Z`);
+
+  const addDays = (date, days) => {
+    const day = calendarDay(date);
+    day.setUTCDate(day.getUTCDate() + days);
+    return day.toISOString().slice(0, 10);
+  };
+
+  const weekday = (date) => calendarDay(date).getUTCDay();
+
+  // "Thu, Nov 26"
+  const shortDate = (date) =>
+    calendarDay(date).toLocaleDateString("en-US", {
+      timeZone: "UTC",
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+    });
+
+  // "07:30" -> 450
+  const toMinutes = (time) => {
+    const [h, m] = String(time).split(":").map(Number);
+    return h * 60 + (m || 0);
+  };
+
+  // 450 -> "7:30am", 1080 -> "6pm"
+  const formatTime = (minutes) => {
+    const h = Math.floor(minutes / 60) % 24;
+    const m = minutes % 60;
+    const suffix = h < 12 ? "am" : "pm";
+    const hour = h % 12 || 12;
+    return m ? `${hour}:${String(m).padStart(2, "0")}${suffix}` : `${hour}${suffix}`;
+  };
+
+  /* =========================================================
+     3) HOURS
+     A holiday entry replaces the whole day (no "hours" = closed);
+     a season ("MM-DD" range, may wrap the new year) replaces only
+     the days it lists.
+  ========================================================= */
+  const hasHours = () => !!config?.hours;
+
+  const seasonOn = (date) => {
+    const md = date.slice(5);
+
+    return (
+      (config.seasons || []).find(({ from, to }) =>
+        from <= to ? md >= from && md <= to : md >= from || md <= to
+      ) || null
+    );
+  };
+
+  /**
+   * Opening hours on a calendar date.
+   * Returns { open, close } in minutes (null when closed) plus the
+   * holiday / season that decided it.
+   */
+  const hoursOn = (date) => {
+    const holiday = (config.holidays || []).find((h) => h.date === date) || null;
+    const season = seasonOn(date);
+    const day = DAY_KEYS[weekday(date)];
+
+    let range;
+    if (holiday) range = holiday.hours;
+    else if (season && day in season.hours) range = season.hours[day];
+    else range = config.hours[day];
+
+    return {
+      date,
+      holiday,
+      season,
+      open: range ? toMinutes(range[0]) : null,
+      close: range ? toMinutes(range[1]) : null,
+    };
+  };
+
+  /* =========================================================
+     4) STATUS
+       { open, closingSoon, text, detail, holiday, season }
+  ========================================================= */
+  const dayLabel = (date, offset) => {
+    if (offset === 0) return "today";
+    if (offset === 1) return "tomorrow";
+    return offset < 7 ? DAY_NAMES[weekday(date)] : shortDate(date);
+  };
+
+  const getStatus = (now = new Date()) => {
+    if (!hasHours()) return null;
+
+    const { date, minutes } = zonedNow(config.timeZone, now);
+    const today = hoursOn(date);
+
+    if (today.open != null && minutes >= today.open && minutes < today.close) {
+      const closingSoon = today.close - minutes <= CLOSING_SOON;
+
+      return {
+        open: true,
+        closingSoon,
+        text: closingSoon ? "Closing soon" : "Open now",
+        detail: `Until ${formatTime(today.close)} today`,
+        holiday: today.holiday,
+        season: today.season,
+      };
+    }
+
+    // Next opening: later today, or the first open day after it.
+    let next = null;
+    for (let offset = 0; offset <= 31 && !next; offset += 1) {
+      const day = hoursOn(addDays(date, offset));
+      if (day.open == null || (offset === 0 && minutes >= day.open)) continue;
+      next = { ...day, offset };
+    }
+
+    const closedFor = today.holiday && today.open == null
+      ? `Closed today for ${today.holiday.label}. `
+      : "";
+
+    return {
+      open: false,
+      closingSoon: false,
+      text: "Closed now",
+      detail: next
+        ? `${closedFor}Opens ${dayLabel(next.date, next.offset)} ${formatTime(next.open)}`
+        : closedFor.trim(),
+      holiday: today.holiday,
+      season: today.season,
+    };
+  };
+
+  /* =========================================================
+     5) DRAWER MARKUP + RENDERING
+  ========================================================= */
+  let drawer = null;
+  let lastFocus = null;
+  let refreshTimer = null;
+
+  const buildDrawer = () => {
+    const { phone, sms, email } = config;
+    const withHours = hasHours();
+
+    drawer = document.createElement("div");
+    drawer.className = "contact-drawer";
+    drawer.hidden = true;
+    drawer.innerHTML = `
+      <div class="contact-drawer__backdrop" data-contact-close></div>
+      <div
+        class="contact-drawer__panel"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="contactDrawerTitle"
+        data-track-section="contact-drawer"
+      >
+        <button
+          class="contact-drawer__close"
+          type="button"
+          aria-label="Close contact options"
+          data-contact-close
+        >
+          &times;
+        </button>
+
+        <p class="contact-drawer__kicker">Contact ACP</p>
+        <h2 class="contact-drawer__title" id="contactDrawerTitle">How can we help?</h2>
+
+        <p class="contact-drawer__status" aria-live="polite"${withHours ? "" : " hidden"}>
+          <span class="contact-drawer__dot" aria-hidden="true"></span>
+          <span class="contact-drawer__status-text"></span>
+          <span class="contact-drawer__status-detail"></span>
+        </p>
+
+        <p class="contact-drawer__after-hours" hidden>
+          We're out on properties or off for the day. Send an estimate
+          request and we'll get back to you first thing.
+        </p>
+
+        <div class="contact-drawer__options">
+          <a class="contact-option contact-option--call" href="tel:${phone.href}">
+            <span class="contact-option__label">Call</span>
+            <span class="contact-option__detail">${phone.display}</span>
+          </a>
+          <a class="contact-option contact-option--text" href="sms:${sms.href}">
+            <span class="contact-option__label">Text</span>
+            <span class="contact-option__detail">${sms.display}</span>
+          </a>
+          ${
+            email
+              ? `<a class="contact-option contact-option--email" href="mailto:${email}">
+            <span class="contact-option__label">Email</span>
+            <span class="contact-option__detail">${email}</span>
+          </a>`
+              : ""
+          }
+          <a
+            class="contact-option contact-option--estimate"
+            href="${config.estimateUrl}"
+            data-estimate-open
+          >
+            <span class="contact-option__label">Request an estimate</span>
+            <span class="contact-option__detail">Takes about two minutes</span>
+          </a>
+        </div>
+
+        <div class="contact-drawer__hours"${withHours ? "" : " hidden"}>
+          <h3 class="contact-drawer__hours-title">Hours</h3>
+          <dl class="contact-hours"></dl>
+          <p class="contact-drawer__season" hidden></p>
+        </div>
+      </div>`;
+
+    drawer.addEventListener("click", (e) => {
+      if (e.target.closest("[data-contact-close]")) {
+        close();
+        return;
+      }
+
+      // Call / text / email / estimate: the drawer has done its job.
+      // Focus goes back first, so the estimate wizard (opened by its
+      // own delegated handler) returns it to the header button.
+      if (e.target.closest(".contact-option")) close();
+    });
+
+    drawer.addEventListener("keydown", onKeydown);
+
+    document.body.appendChild(drawer);
+  };
+
+  // The coming week, so holidays and season changes show up.
+  const renderHours = () => {
+    if (!hasHours()) return;
+
+    const { date } = zonedNow(config.timeZone);
+    const list = drawer.querySelector(".contact-hours");
+
+    list.innerHTML = "";
+
+    for (let offset = 0; offset < 7; offset += 1) {
+      const day = hoursOn(addDays(date, offset));
+      const row = document.createElement("div");
+      row.className = "contact-hours__row";
+      if (offset === 0) row.classList.add("is-today");
+
+      const name = document.createElement("dt");
+      name.textContent =
+        offset === 0 ? "Today" : DAY_NAMES[weekday(day.date)].slice(0, 3);
+
+      const value = document.createElement("dd");
+      value.textContent =
+        day.open == null ? "Closed" : `${formatTime(day.open)} – ${formatTime(day.close)}`;
+      if (day.holiday) value.textContent += ` (${day.holiday.label})`;
+
+      row.append(name, value);
+      list.appendChild(row);
+    }
+
+    const season = seasonOn(date);
+    const note = drawer.querySelector(".contact-drawer__season");
+    note.hidden = !season;
+    if (season) note.textContent = `${season.label} are in effect.`;
+  };
+
+  // Only touch text that changed, so the live region isn't re-read
+  // on every refresh.
+  const setText = (el, text) => {
+    if (el.textContent !== text) el.textContent = text;
+  };
+
+  const renderStatus = () => {
+    const status = getStatus();
+    if (!status) return;
+
+    drawer.classList.toggle("is-open-now", status.open);
+    drawer.classList.toggle("is-after-hours", !status.open);
+    drawer.classList.toggle("is-closing-soon", status.closingSoon);
+
+    setText(drawer.querySelector(".contact-drawer__status-text"), status.text);
+    setText(drawer.querySelector(".contact-drawer__status-detail"), status.detail);
+    drawer.querySelector(".contact-drawer__after-hours").hidden = status.open;
+
+    // After hours the estimate form leads instead of the phone.
+    const options = drawer.querySelector(".contact-drawer__options");
+    const estimate = options.querySelector(".contact-option--estimate");
+    if (status.open) options.appendChild(estimate);
+    else options.prepend(estimate);
+  };
+
+  // ESC closes; Tab stays inside the drawer.
+  function onKeydown(e) {
+    if (e.key === "Escape") {
+      close();
+      return;
+    }
+
+    if (e.key !== "Tab") return;
+
+    const focusable = Array.from(drawer.querySelectorAll("a[href], button"));
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /* =========================================================
+     6) OPEN / CLOSE + CTA WIRING
+  ========================================================= */
+  function open() {
+    if (!config) return false;
+    if (!drawer) buildDrawer();
+
+    renderHours();
+    renderStatus();
+
+    clearInterval(refreshTimer);
+    refreshTimer = hasHours()
+      ? setInterval(() => {
+          renderHours();
+          renderStatus();
+        }, REFRESH_MS)
+      : null;
+
+    lastFocus = document.activeElement;
+    drawer.hidden = false;
+    document.documentElement.classList.add("contact-open");
+    requestAnimationFrame(() => drawer.classList.add("is-open"));
+
+    drawer.querySelector(".contact-option").focus();
+    return true;
+  }
+
+  function close() {
+    if (!drawer || drawer.hidden) return;
+
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+
+    drawer.classList.remove("is-open");
+    drawer.hidden = true;
+    document.documentElement.classList.remove("contact-open");
+
+    lastFocus?.focus?.();
+  }
+
+  // Delegated; until the data set has loaded the tel: link just works.
+  document.addEventListener("click", (e) => {
+    const trigger = e.target.closest?.(TRIGGER_SELECTOR);
+    if (!trigger || !config) return;
+
+    // Respect "open in new tab" gestures on real links.
+    if (e.metaKey || e.ctrlKey || e.shiftKey || e.button === 1) return;
+
+    e.preventDefault();
+
+    if (open()) {
+      const status = getStatus();
+
+      window.ACP?.analytics?.track(
+        "contact_open",
+        { status: status ? (status.open ? "open" : "closed") : "unknown" },
+        trigger
+      );
+    }
+  });
+
+  // Announce the drawer to assistive tech once it can open.
+  ready.then((data) => {
+    if (!data) return;
+
+    document.querySelectorAll(TRIGGER_SELECTOR).forEach((trigger) => {
+      trigger.setAttribute("aria-haspopup", "dialog");
+    });
+  });
+
+  /* =========================================================
+     7) PUBLIC API
+       open() / close()
+       status(date?)   { open, closingSoon, text, detail, ... }
+                       or null until data/contact.json loads (and
+                       while it has no "hours")
+       ready           Promise for the loaded data set
+  ========================================================= */
+  window.ACP = window.ACP || {};
+  window.ACP.contact = {
+    open,
+    close,
+    status: getStatus,
+    ready,
+  };
+})();
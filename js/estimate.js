@@ -0,0 +1,710 @@
+/* =====================================================================
+   estimate.js — ACP Landscaping
+   Purpose:
+   - On-site, multi-step estimate request form (modal wizard)
+   - Replaces the hop to the external Google Form for every estimate CTA
+   - Without a submit endpoint the answers are carried over to the
+     Google Form as a pre-filled link; if the Form's fields aren't
+     mapped either, CTAs go straight to the Form (no wizard)
+
+   Structure:
+   1) Config (services, CTA selectors, submit target)
+   2) Draft storage (localStorage, with consent)
+   3) Modal markup
+   4) Validation
+   5) Step navigation
+   6) Submit
+   7) Open / close + CTA wiring
+   8) Public API (window.ACP.estimate)
+
+   Notes:
+   - CTA links keep their Google Form href so the site still works
+     without JavaScript; this script intercepts the click.
+   - Submit target is set per page on the script tag:
+       <script src="/js/estimate.js" data-endpoint="/api/estimate"></script>
+     Every page posts to /api/estimate; serve the estimate handler
+     (or a local stub) there. If a send fails the draft is kept and
+     the visitor is offered the phone number and the Google Form.
+     Leave data-endpoint empty to fall back to the Google Form.
+   - Fallback modes (ACP.estimate.mode):
+       "endpoint"  POST JSON to data-endpoint
+       "prefill"   wizard, then the Google Form pre-filled with the
+                   answers (FORM_ENTRIES below)
+       "link"      no wizard: CTAs are plain links to the Google Form
+===================================================================== */
+
+(function () {
+  "use strict";
+
+  /* =========================================================
+     1) CONFIG
+  ========================================================= */
+  const script = document.currentScript;
+
+  const FALLBACK_URL =
+    "https://docs.google.com/forms/d/e/1FAIpQLSeWHkyaBjf67iJMnTYg1LXNxVSujMJuMKG33KsOszgYHfAJeA/viewform";
+
+  const ENDPOINT = (script?.dataset.endpoint || "").trim();
+
+  // Google Form field names ("entry.<id>") for each wizard answer,
+  // copied from the Form's "Get pre-filled link". Until the required
+  // ones are filled in, the fallback is a plain link to the Form so no
+  // answers are typed here and then lost. `quote` is optional; without
+  // it the quote is added to the notes.
+  const FORM_ENTRIES = {
+    service: "",
+    propertyType: "",
+    town: "",
+    name: "",
+    phone: "",
+    email: "",
+    notes: "",
+    quote: "",
+  };
+
+  const REQUIRED_ENTRIES = ["service", "propertyType", "town", "name", "phone", "email", "notes"];
+
+  const MODE = ENDPOINT
+    ? "endpoint"
+    : REQUIRED_ENTRIES.every((name) => FORM_ENTRIES[name])
+      ? "prefill"
+      : "link";
+
+  const DRAFT_KEY = "acp_estimate_draft";
+
+  // Every CTA that used to point at the Google Form.
+  const CTA_SELECTOR = [
+    ".estimate-box",
+    ".locations__cta",
+    ".footer-btn--primary",
+    ".service-cta__btn",
+    ".service-hero__cta",
+    ".portfolio-hero__cta",
+    ".landing-hero__cta",
+    ".landing-section-cta",
+    ".landing-final__btn",
+    ".landing-sticky-cta",
+    "[data-estimate-open]",
+  ].join(", ");
+
+  const SERVICES = [
+    { value: "maintenance", label: "General Maintenance" },
+    { value: "design", label: "Design" },
+    { value: "development", label: "Development" },
+    { value: "lawncare", label: "Lawncare" },
+  ];
+
+  const PROPERTY_TYPES = [
+    { value: "residential", label: "Residential" },
+    { value: "commercial", label: "Commercial" },
+  ];
+
+  const STEP_TITLES = ["Service", "Property", "Contact", "Details"];
+
+  /**
+   * Works out which service / property type the visitor was looking at.
+   * Handles both "/lawncare/" and "lawncare.html" style URLs.
+   */
+  const getPagePreset = () => {
+    const path = window.location.pathname.toLowerCase();
+    const match = (name) =>
+      path.includes(`/${name}/`) || path.endsWith(`/${name}.html`);
+
+    const preset = {};
+    const service = SERVICES.find((s) => match(s.value));
+    if (service) preset.service = service.value;
+
+    const property = PROPERTY_TYPES.find((p) => match(p.value));
+    if (property) preset.propertyType = property.value;
+
+    return preset;
+  };
+
+  /* =========================================================
+     2) DRAFT STORAGE
+     - Half-filled forms survive a reload.
+     - Storage can throw (private mode / quota), so every call is guarded.
+     - A "preferences" choice (js/consent.js); declined, drafts only
+       last until the page is left.
+  ========================================================= */
+  const draftStore = () =>
+    window.ACP?.consent?.storage("preferences") || localStorage;
+
+  const readDraft = () => {
+    try {
+      return JSON.parse(draftStore().getItem(DRAFT_KEY) || "null") || {};
+    } catch (err) {
+      return {};
+    }
+  };
+
+  const writeDraft = (draft) => {
+    try {
+      draftStore().setItem(DRAFT_KEY, JSON.stringify(draft));
+    } catch (err) {
+      /* Storage unavailable: the form still works, it just won't persist. */
+    }
+  };
+
+  const clearDraft = () => {
+    try {
+      draftStore().removeItem(DRAFT_KEY);
+    } catch (err) {
+      /* noop */
+    }
+  };
+
+  /* =========================================================
+     3) MODAL MARKUP
+     Built once, on first open, so pages don't carry the markup.
+  ========================================================= */
+  const choiceGroup = (name, options) =>
+    options
+      .map(
+        (o) => `
+          <label class="estimate__choice">
+            <input type="radio" name="${name}" value="${o.value}" />
+            <span>${o.label}</span>
+          </label>`
+      )
+      .join("");
+
+  const field = (id, label, input) => `
+    <div class="estimate__field">
+      <label class="estimate__label" for="${id}">${label}</label>
+      ${input}
+      <p class="estimate__error" id="${id}-error" hidden></p>
+    </div>`;
+
+  const MODAL_HTML = `
+    <div class="estimate__backdrop" data-estimate-close></div>
+
+    <div
+      class="estimate__dialog"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="estimateTitle"
+    >
+      <button
+        class="estimate__close"
+        type="button"
+        aria-label="Close estimate form"
+        data-estimate-close
+      >
+        &times;
+      </button>
+
+      <p class="estimate__kicker">Request an Estimate</p>
+      <h2 class="estimate__title" id="estimateTitle">Tell us about your project</h2>
+
+      <div class="estimate__progress" aria-hidden="true">
+        <span class="estimate__progress-bar"></span>
+      </div>
+      <p class="estimate__step-label" aria-live="polite"></p>
+
+      <form class="estimate__form" novalidate>
+        <!-- Step 1: Service -->
+        <fieldset class="estimate__step" data-step="0">
+          <legend class="estimate__legend">What can we help with?</legend>
+          <div class="estimate__choices" data-group="service">
+            ${choiceGroup("service", SERVICES)}
+          </div>
+          <p class="estimate__error" id="estimate-service-error" hidden></p>
+        </fieldset>
+
+        <!-- Step 2: Property -->
+        <fieldset class="estimate__step" data-step="1" hidden>
+          <legend class="estimate__legend">Where is the property?</legend>
+          <div class="estimate__choices" data-group="propertyType">
+            ${choiceGroup("propertyType", PROPERTY_TYPES)}
+          </div>
+          <p class="estimate__error" id="estimate-propertyType-error" hidden></p>
+
+          ${field(
+            "estimate-town",
+            "Town",
+            `<input class="estimate__input" id="estimate-town" name="town" type="text" autocomplete="address-level2" required />`
+          )}
+        </fieldset>
+
+        <!-- Step 3: Contact -->
+        <fieldset class="estimate__step" data-step="2" hidden>
+          <legend class="estimate__legend">How do we reach you?</legend>
+
+          ${field(
+            "estimate-name",
+            "Name",
+            `<input class="estimate__input" id="estimate-name" name="name" type="text" autocomplete="name" required />`
+          )}
+          ${field(
+            "estimate-phone",
+            "Phone",
+            `<input class="estimate__input" id="estimate-phone" name="phone" type="tel" autocomplete="tel" required />`
+          )}
+          ${field(
+            "estimate-email",
+            "Email",
+            `<input class="estimate__input" id="estimate-email" name="email" type="email" autocomplete="email" required />`
+          )}
+        </fieldset>
+
+        <!-- Step 4: Notes + submit -->
+        <fieldset class="estimate__step" data-step="3" hidden>
+          <legend class="estimate__legend">Anything else we should know?</legend>
+
+          ${field(
+            "estimate-notes",
+            "Project notes (optional)",
+            `<textarea class="estimate__input estimate__input--area" id="estimate-notes" name="notes" rows="5"></textarea>`
+          )}
+        </fieldset>
+
+        <p class="estimate__status" role="status" hidden></p>
+
+        <div class="estimate__actions">
+          <button class="estimate__btn estimate__btn--ghost" type="button" data-estimate-back>
+            Back
+          </button>
+          <button class="estimate__btn" type="submit" data-estimate-next>
+            Next
+          </button>
+        </div>
+      </form>
+    </div>`;
+
+  let modal = null;
+  let form = null;
+  let steps = [];
+  let stepIndex = 0;
+  let lastFocus = null;
+  let isSubmitting = false;
+  let attachedQuote = null;
+
+  const buildModal = () => {
+    if (modal) return;
+
+    modal = document.createElement("div");
+    modal.className = "estimate";
+    modal.id = "estimateModal";
+    modal.hidden = true;
+    modal.innerHTML = MODAL_HTML;
+    document.body.appendChild(modal);
+
+    form = modal.querySelector(".estimate__form");
+    steps = Array.from(modal.querySelectorAll(".estimate__step"));
+
+    modal.querySelectorAll("[data-estimate-close]").forEach((el) => {
+      el.addEventListener("click", closeModal);
+    });
+
+    modal
+      .querySelector("[data-estimate-back]")
+      .addEventListener("click", () => showStep(stepIndex - 1));
+
+    form.addEventListener("submit", onSubmit);
+
+    // Save the draft + clear stale errors as the visitor types.
+    form.addEventListener("input", (e) => {
+      clearError(e.target.name);
+      writeDraft({ ...getValues(), step: stepIndex });
+    });
+
+    modal.addEventListener("keydown", onKeydown);
+  };
+
+  /* =========================================================
+     4) VALIDATION
+  ========================================================= */
+  const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  const getValues = () => {
+    const data = new FormData(form);
+    return {
+      service: data.get("service") || "",
+      propertyType: data.get("propertyType") || "",
+      town: (data.get("town") || "").trim(),
+      name: (data.get("name") || "").trim(),
+      phone: (data.get("phone") || "").trim(),
+      email: (data.get("email") || "").trim(),
+      notes: (data.get("notes") || "").trim(),
+    };
+  };
+
+  const setValues = (values) => {
+    Object.entries(values).forEach(([name, value]) => {
+      const inputs = form.elements[name];
+      if (!inputs || value == null) return;
+
+      if (inputs instanceof RadioNodeList) {
+        inputs.forEach((input) => {
+          input.checked = input.value === value;
+        });
+      } else {
+        inputs.value = value;
+      }
+    });
+  };
+
+  const errorFor = (name) =>
+    modal.querySelector(`#estimate-${name}-error`);
+
+  const showError = (name, message) => {
+    const el = errorFor(name);
+    if (el) {
+      el.textContent = message;
+      el.hidden = false;
+    }
+
+    const input = form.elements[name];
+    if (input && !(input instanceof RadioNodeList)) {
+      input.setAttribute("aria-invalid", "true");
+      input.setAttribute("aria-describedby", `estimate-${name}-error`);
+    }
+  };
+
+  const clearError = (name) => {
+    if (!name) return;
+    const el = errorFor(name);
+    if (el) el.hidden = true;
+
+    const input = form.elements[name];
+    if (input && !(input instanceof RadioNodeList)) {
+      input.removeAttribute("aria-invalid");
+    }
+  };
+
+  // Rules per step: each returns an error message or "".
+  const RULES = [
+    {
+      service: (v) => (v.service ? "" : "Please choose a service."),
+    },
+    {
+      propertyType: (v) =>
+        v.propertyType ? "" : "Please choose residential or commercial.",
+      town: (v) => (v.town ? "" : "Please enter the town of the property."),
+    },
+    {
+      name: (v) => (v.name ? "" : "Please enter your name."),
+      phone: (v) =>
+        v.phone.replace(/\D/g, "").length >= 10
+          ? ""
+          : "Please enter a 10-digit phone number.",
+      email: (v) =>
+        EMAIL_RE.test(v.email) ? "" : "Please enter a valid email address.",
+    },
+    {},
+  ];
+
+  /**
+   * Validates one step, shows inline errors and focuses the first problem.
+   * Returns true when the step is complete.
+   */
+  const validateStep = (index) => {
+    const values = getValues();
+    let firstInvalid = null;
+
+    Object.entries(RULES[index]).forEach(([name, rule]) => {
+      const message = rule(values);
+      if (message) {
+        showError(name, message);
+        if (!firstInvalid) firstInvalid = name;
+      } else {
+        clearError(name);
+      }
+    });
+
+    if (firstInvalid) {
+      const input = form.elements[firstInvalid];
+      const target = input instanceof RadioNodeList ? input[0] : input;
+      target?.focus();
+      return false;
+    }
+
+    return true;
+  };
+
+  /* =========================================================
+     5) STEP NAVIGATION
+  ========================================================= */
+  const isLastStep = () => stepIndex === steps.length - 1;
+
+  const showStep = (index) => {
+    stepIndex = Math.max(0, Math.min(steps.length - 1, index));
+
+    steps.forEach((step, i) => {
+      step.hidden = i !== stepIndex;
+    });
+
+    modal.querySelector(".estimate__step-label").textContent =
+      `Step ${stepIndex + 1} of ${steps.length}: ${STEP_TITLES[stepIndex]}`;
+
+    modal
+      .querySelector(".estimate__progress-bar")
+      .style.setProperty("--estimateProgress", `${(stepIndex + 1) / steps.length}`);
+
+    modal.querySelector("[data-estimate-back]").hidden = stepIndex === 0;
+
+    const nextBtn = modal.querySelector("[data-estimate-next]");
+    nextBtn.textContent = isLastStep()
+      ? ENDPOINT
+        ? "Send Request"
+        : "Continue to Estimate Form"
+      : "Next";
+
+    setStatus("");
+    writeDraft({ ...getValues(), step: stepIndex });
+
+    // Move focus into the new step for keyboard + screen reader users.
+    const focusable = steps[stepIndex].querySelector("input, textarea");
+    focusable?.focus();
+  };
+
+  /* =========================================================
+     6) SUBMIT
+     - Each "Next" is a submit so Enter advances the wizard.
+     - Final step POSTs JSON to the configured endpoint, or hands
+       off to the Google Form, pre-filled, when no endpoint is set.
+  ========================================================= */
+  const labelOf = (list, value) =>
+    list.find((o) => o.value === value)?.label || value;
+
+  // Readable quote for a plain-text Form field.
+  const formatQuote = (quote) =>
+    `Price estimator selections: ${JSON.stringify(quote)}`;
+
+  /**
+   * Google Form URL carrying the wizard's answers. Choice fields take
+   * the Form's option text, so labels are sent instead of values.
+   */
+  const buildFormUrl = (values, quote) => {
+    const url = new URL(FALLBACK_URL);
+    url.searchParams.set("usp", "pp_url");
+
+    const answers = {
+      ...values,
+      service: labelOf(SERVICES, values.service),
+      propertyType: labelOf(PROPERTY_TYPES, values.propertyType),
+    };
+
+    if (quote) {
+      if (FORM_ENTRIES.quote) answers.quote = formatQuote(quote);
+      else answers.notes = [values.notes, formatQuote(quote)].filter(Boolean).join("\n\n");
+    }
+
+    Object.entries(answers).forEach(([name, value]) => {
+      if (FORM_ENTRIES[name] && value) url.searchParams.set(FORM_ENTRIES[name], value);
+    });
+
+    return url.href;
+  };
+
+  const setStatus = (message, isError = false) => {
+    const el = modal.querySelector(".estimate__status");
+    el.hidden = !message;
+    el.classList.toggle("is-error", isError);
+    el.innerHTML = message;
+  };
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    if (isSubmitting) return;
+
+    if (!validateStep(stepIndex)) return;
+
+    if (!isLastStep()) {
+      showStep(stepIndex + 1);
+      return;
+    }
+
+    // Every step must be valid before sending (drafts can skip ahead).
+    const values = getValues();
+    const invalidStep = RULES.findIndex((rules) =>
+      Object.values(rules).some((rule) => rule(values))
+    );
+    if (invalidStep !== -1) {
+      showStep(invalidStep);
+      validateStep(invalidStep);
+      return;
+    }
+
+    if (MODE === "prefill") {
+      const url = buildFormUrl(values, attachedQuote);
+      clearDraft();
+      attachedQuote = null;
+      window.location.assign(url);
+      return;
+    }
+
+    const payload = {
+      ...getValues(),
+      ...(attachedQuote && { quote: attachedQuote }),
+      page: window.location.pathname,
+      submittedAt: new Date().toISOString(),
+    };
+
+    isSubmitting = true;
+    modal.classList.add("is-submitting");
+    setStatus("Sending…");
+
+    try {
+      const res = await fetch(ENDPOINT, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+
+      if (!res.ok) throw new Error(`Estimate endpoint responded ${res.status}`);
+
+      clearDraft();
+      attachedQuote = null;
+      form.reset();
+      steps.forEach((step) => {
+        step.hidden = true;
+      });
+      modal.querySelector(".estimate__actions").hidden = true;
+      modal.querySelector(".estimate__step-label").textContent = "";
+      setStatus(
+        "Thanks! Your request is in. We’ll be in touch within one business day."
+      );
+    } catch (err) {
+      console.error("[estimate] submit failed:", err);
+      setStatus(
+        `We couldn’t send your request. Please try again, call
+        <a href="tel:+17164493792">(716) 449-3792</a>, or use our
+        <a href="${FALLBACK_URL}">online estimate form</a>.`,
+        true
+      );
+    } finally {
+      isSubmitting = false;
+      modal.classList.remove("is-submitting");
+    }
+  };
+
+  /* =========================================================
+     7) OPEN / CLOSE + CTA WIRING
+  ========================================================= */
+  const getFocusable = () =>
+    Array.from(
+      modal.querySelectorAll(
+        "button:not([hidden]), input, textarea, a[href]"
+      )
+    ).filter((el) => !el.closest("[hidden]"));
+
+  const onKeydown = (e) => {
+    if (e.key === "Escape") {
+      closeModal();
+      return;
+    }
+
+    // Keep Tab inside the dialog while it is open.
+    if (e.key === "Tab") {
+      const focusable = getFocusable();
+      if (!focusable.length) return;
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+  };
+
+  /**
+   * Opens the wizard.
+   * Priority for prefilled values: explicit preset > saved draft > page preset.
+   */
+  const openModal = ({ quote = null, ...preset } = {}) => {
+    // Nothing to hand the answers to: the Form itself is the way in.
+    if (MODE === "link") {
+      window.location.assign(FALLBACK_URL);
+      return;
+    }
+
+    buildModal();
+
+    // Structured selections from another widget (price estimator);
+    // sent along with the request, not shown as a field.
+    attachedQuote = quote;
+
+    lastFocus = document.activeElement;
+
+    // Start from a clean slate (a previous submit may have hidden these).
+    form.reset();
+    modal.querySelector(".estimate__actions").hidden = false;
+    modal.querySelectorAll(".estimate__error").forEach((el) => {
+      el.hidden = true;
+    });
+    modal.querySelectorAll("[aria-invalid]").forEach((el) => {
+      el.removeAttribute("aria-invalid");
+    });
+
+    const { step = 0, ...draft } = readDraft();
+    setValues({ ...getPagePreset(), ...draft, ...preset });
+
+    modal.hidden = false;
+    document.documentElement.classList.add("estimate-open");
+    requestAnimationFrame(() => modal.classList.add("is-open"));
+
+    // Explicit presets start from the top so the visitor can confirm them.
+    showStep(Object.keys(preset).length ? 0 : step);
+  };
+
+  const closeModal = () => {
+    if (!modal || modal.hidden) return;
+
+    modal.classList.remove("is-open");
+    modal.hidden = true;
+    document.documentElement.classList.remove("estimate-open");
+
+    if (lastFocus && typeof lastFocus.focus === "function") {
+      lastFocus.focus();
+    }
+  };
+
+  // Delegated so CTAs added later (or by other scripts) work too.
+  document.addEventListener("click", (e) => {
+    const cta = e.target.closest?.(CTA_SELECTOR);
+    if (!cta) return;
+
+    // Respect "open in new tab" gestures on real links.
+    if (e.metaKey || e.ctrlKey || e.shiftKey || e.button === 1) return;
+
+    const preset = {};
+    if (cta.dataset.estimateService) preset.service = cta.dataset.estimateService;
+    if (cta.dataset.estimateTown) preset.town = cta.dataset.estimateTown;
+
+    window.ACP?.analytics?.track(
+      "estimate_cta",
+      { service: preset.service || null },
+      cta
+    );
+
+    // "link" mode: the CTA's own href (the Google Form) does the work.
+    if (MODE === "link" && cta.getAttribute("href")) return;
+
+    e.preventDefault();
+    openModal(preset);
+  });
+
+  /* =========================================================
+     8) PUBLIC API
+     Lets other scripts open the wizard with values prefilled:
+       window.ACP.estimate.open({ service: "lawncare", town: "Hamburg" })
+     A `quote` object (js/components/price-estimator.js) is sent
+     with the request as-is, or written into the pre-filled Form.
+     In "link" mode open() just goes to the Form, so callers with
+     something to carry over check `mode` first.
+  ========================================================= */
+  window.ACP = window.ACP || {};
+  window.ACP.estimate = {
+    open: openModal,
+    close: closeModal,
+    mode: MODE,
+    formUrl: FALLBACK_URL,
+  };
+})();
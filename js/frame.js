@@ -0,0 +1,178 @@
+/* =====================================================================
+   frame.js — ACP Landscaping
+   Purpose:
+   - One scroll + resize listener for the whole site
+   - Reads the viewport once per animation frame and hands the
+     numbers to every subscriber (no per-module layout reads
+     of scrollY / innerHeight)
+   - Batches DOM writes after all reads, so modules don't force
+     a layout on each other mid-frame
+
+   API (window.ACP.frame):
+     subscribe(fn)   fn(view) once per frame while scrolling /
+                     resizing; returns unsubscribe. fn may return a
+                     function, which runs in the write phase.
+     request()       schedule a frame without scroll/resize
+                     (e.g. a setting changed)
+     measure(el)     el's box in document coordinates
+                     { top, bottom, left, right, width, height },
+                     read once and cached until something resizes;
+                     subtract view.scrollY for viewport positions
+
+   view (read-only, shared between subscribers):
+     scrollY        window.scrollY
+     width          window.innerWidth
+     height         window.innerHeight
+     visualHeight   visualViewport height (mobile URL bar aware)
+     resized        true when a resize happened since the last frame
+                    (window, visual viewport or the page's height)
+
+   Notes:
+   - Loaded in <head>, BEFORE main.js.
+   - Nothing runs while there are no subscribers; modules that
+     only care near the viewport should unsubscribe when idle.
+   - Sticky elements are measured where they sit in the flow
+     (below the sibling before them, or at the top of their
+     parent), not where they happen to be stuck.
+===================================================================== */
+
+(function () {
+  "use strict";
+
+  const subscribers = new Set();
+  const boxes = new Map();
+
+  const view = {
+    scrollY: 0,
+    width: 0,
+    height: 1,
+    visualHeight: 1,
+    resized: false,
+  };
+
+  let rafId = null;
+  let resized = false;
+
+  /* =========================================================
+     1) FRAME
+  ========================================================= */
+  const readView = () => {
+    view.scrollY = window.scrollY;
+    view.width = window.innerWidth;
+    view.height = window.innerHeight || 1;
+    view.visualHeight = window.visualViewport?.height || view.height;
+    view.resized = resized;
+    resized = false;
+  };
+
+  const run = (fn, value) => {
+    try {
+      return fn(value);
+    } catch (err) {
+      console.error("[frame] subscriber failed:", err);
+      return null;
+    }
+  };
+
+  const flush = () => {
+    rafId = null;
+    readView();
+
+    const writes = [];
+
+    // Copy first: subscribers may unsubscribe (themselves or others).
+    Array.from(subscribers).forEach((fn) => {
+      if (!subscribers.has(fn)) return;
+
+      const write = run(fn, view);
+      if (typeof write === "function") writes.push(write);
+    });
+
+    writes.forEach((write) => run(write));
+  };
+
+  const request = () => {
+    if (rafId != null || subscribers.size === 0) return;
+    rafId = window.requestAnimationFrame(flush);
+  };
+
+  /* =========================================================
+     2) SUBSCRIPTIONS
+     New subscribers get a frame right away, so they can set
+     their initial state from the same numbers as everyone else.
+  ========================================================= */
+  const subscribe = (fn) => {
+    subscribers.add(fn);
+    request();
+
+    return () => {
+      subscribers.delete(fn);
+
+      if (subscribers.size === 0 && rafId != null) {
+        window.cancelAnimationFrame(rafId);
+        rafId = null;
+      }
+    };
+  };
+
+  /* =========================================================
+     3) MEASUREMENTS
+     One layout read per element per resize, instead of one
+     per subscriber per frame.
+  ========================================================= */
+  const hasLayout = (el) =>
+    el.getClientRects().length > 0 &&
+    !/^(absolute|fixed)$/.test(window.getComputedStyle(el).position);
+
+  const readBox = (el) => {
+    const rect = el.getBoundingClientRect();
+    const box = {
+      top: rect.top + window.scrollY,
+      bottom: rect.bottom + window.scrollY,
+      left: rect.left + window.scrollX,
+      right: rect.right + window.scrollX,
+      width: rect.width,
+      height: rect.height,
+    };
+
+    if (el.parentElement && window.getComputedStyle(el).position === "sticky") {
+      let prev = el.previousElementSibling;
+      while (prev && !hasLayout(prev)) prev = prev.previousElementSibling;
+
+      box.top = prev ? measure(prev).bottom : measure(el.parentElement).top;
+      box.height = el.offsetHeight || rect.height;
+      box.bottom = box.top + box.height;
+    }
+
+    return box;
+  };
+
+  // The same object comes back until the cache is cleared, so
+  // callers can key their own derived values on it.
+  const measure = (el) => {
+    if (!boxes.has(el)) boxes.set(el, readBox(el));
+    return boxes.get(el);
+  };
+
+  /* =========================================================
+     4) LISTENERS
+     Page height changes (images, fonts, content) move
+     everything below them, so they count as a resize.
+  ========================================================= */
+  const onResize = () => {
+    boxes.clear();
+    resized = true;
+    request();
+  };
+
+  window.addEventListener("scroll", request, { passive: true });
+  window.addEventListener("resize", onResize);
+  window.visualViewport?.addEventListener("resize", onResize);
+
+  if ("ResizeObserver" in window) {
+    new ResizeObserver(onResize).observe(document.documentElement);
+  }
+
+  window.ACP = window.ACP || {};
+  window.ACP.frame = { subscribe, request, measure };
+})();
@@ -0,0 +1,133 @@
+/* =====================================================================
+   motion.js — ACP Landscaping
+   Purpose:
+   - One source of truth for "should things animate?"
+   - Follows prefers-reduced-motion live, unless the visitor has
+     chosen on the site ([data-motion-toggle], saved in localStorage
+     when js/consent.js allows "preferences")
+   - Mirrors the result as html.reduce-motion for CSS
+   - Tells every subscribed animation module when it changes
+
+   API (window.ACP.motion):
+     reduced()              true when motion should be reduced
+     subscribe(fn)          fn(reduced) on every change; returns unsubscribe
+     setPreference(value)   "reduce" | "no-preference" | null (follow system)
+
+   Notes:
+   - Loaded in <head> so html.reduce-motion is set before first paint;
+     the toggle buttons are bound once the DOM is ready.
+===================================================================== */
+
+(function () {
+  "use strict";
+
+  const STORAGE_KEY = "acp_motion";
+
+  // Declined "preferences": the choice lasts for this page only.
+  const store = () => window.ACP?.consent?.storage("preferences") || localStorage;
+
+  const query = window.matchMedia?.("(prefers-reduced-motion: reduce)");
+  const listeners = new Set();
+
+  /* =========================================================
+     1) PREFERENCE
+     Storage can throw (privacy modes); the site then just
+     follows the system setting.
+  ========================================================= */
+  const readStored = () => {
+    try {
+      const value = store().getItem(STORAGE_KEY);
+      return value === "reduce" || value === "no-preference" ? value : null;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  let stored = readStored();
+
+  const reduced = () =>
+    stored ? stored === "reduce" : query?.matches ?? false;
+
+  /* =========================================================
+     2) APPLY + NOTIFY
+  ========================================================= */
+  let current = reduced();
+
+  const syncToggles = () => {
+    document.querySelectorAll("[data-motion-toggle]").forEach((btn) => {
+      btn.setAttribute("aria-pressed", String(current));
+    });
+  };
+
+  const update = () => {
+    const next = reduced();
+    document.documentElement.classList.toggle("reduce-motion", next);
+    syncToggles();
+
+    if (next === current) return;
+    current = next;
+
+    listeners.forEach((fn) => {
+      try {
+        fn(current);
+      } catch (err) {
+        console.error("[motion] listener failed:", err);
+      }
+    });
+  };
+
+  const subscribe = (fn) => {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  };
+
+  const setPreference = (value) => {
+    stored = value === "reduce" || value === "no-preference" ? value : null;
+
+    try {
+      if (stored) store().setItem(STORAGE_KEY, stored);
+      else store().removeItem(STORAGE_KEY);
+    } catch (err) {
+      /* not persisted; still applies to this page */
+    }
+
+    update();
+  };
+
+  query?.addEventListener?.("change", update);
+
+  // Another tab changed the setting.
+  window.addEventListener("storage", (e) => {
+    if (e.key !== STORAGE_KEY) return;
+    stored = readStored();
+    update();
+  });
+
+  /* =========================================================
+     3) ON-PAGE TOGGLE
+       <button type="button" data-motion-toggle hidden>
+         Reduce motion
+       </button>
+  ========================================================= */
+  const bindToggles = () => {
+    document.querySelectorAll("[data-motion-toggle]").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        setPreference(current ? "no-preference" : "reduce");
+      });
+      btn.hidden = false;
+    });
+
+    syncToggles();
+  };
+
+  document.documentElement.classList.toggle("reduce-motion", current);
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", bindToggles);
+  } else {
+    bindToggles();
+  }
+
+  window.ACP = window.ACP || {};
+  window.ACP.motion = { reduced, subscribe, setPreference };
+})();
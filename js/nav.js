@@ -0,0 +1,115 @@
+/* =====================================================================
+   nav.js — ACP Landscaping
+   Purpose:
+   - Single source for site navigation (NAV below)
+   - Renders the header nav, #mobileMenu and the footer links
+   - Marks the current page (aria-current="page" + .is-active)
+   - Resolves links for both URL styles the site is served with:
+       "/residential/"      -> pretty folder links
+       "residential.html"   -> flat file links
+
+   Notes:
+   - Load BEFORE main.js (the mobile menu binds to these links).
+   - The hand-written links in each page stay as a no-JS fallback
+     and are replaced on load.
+===================================================================== */
+
+(function () {
+  "use strict";
+
+  /* =========================================================
+     1) CONFIG
+     - page: folder / file name ("" = home)
+     - hash: optional in-page section on that page
+     - footer: also listed in the footer nav
+  ========================================================= */
+  const NAV = [
+    { label: "Home", page: "" },
+    { label: "General Maintenance", page: "maintenance", footer: true },
+    { label: "Design", page: "design", footer: true },
+    { label: "Development", page: "development", footer: true },
+    { label: "Lawncare", page: "lawncare", footer: true },
+    { label: "Commercial Portfolio", page: "commercial", footer: true },
+    { label: "Residential Portfolio", page: "residential", footer: true },
+    { label: "Who We Are", page: "", hash: "checklist" },
+  ];
+
+  /* =========================================================
+     2) URL RESOLUTION
+     Site root is resolved from this script, so the site also
+     works when hosted under a sub-path.
+  ========================================================= */
+  const SITE_ROOT = new URL(
+    "../",
+    document.currentScript?.src || window.location.href
+  );
+
+  const isFlat = /\.html?$/i.test(window.location.pathname);
+
+  // "residential" / "" for the page being viewed.
+  const currentPage = (() => {
+    const rel = decodeURIComponent(window.location.pathname).slice(
+      decodeURIComponent(SITE_ROOT.pathname).length
+    );
+    const page = rel.replace(/\/$/, "").replace(/\.html?$/i, "").split("/")[0];
+    return page === "index" ? "" : page;
+  })();
+
+  const hrefFor = (item) => {
+    const path = item.page
+      ? isFlat
+        ? `${item.page}.html`
+        : `${item.page}/`
+      : isFlat
+        ? "index.html"
+        : "";
+
+    // Same-page section links stay plain "#hash" (no reload).
+    if (item.hash && item.page === currentPage) return `#${item.hash}`;
+
+    return new URL(path + (item.hash ? `#${item.hash}` : ""), SITE_ROOT).href;
+  };
+
+  const isCurrent = (item) => !item.hash && item.page === currentPage;
+
+  /* =========================================================
+     3) RENDERERS
+  ========================================================= */
+  const createLink = (item, className) => {
+    const link = document.createElement("a");
+    link.className = className;
+    link.href = hrefFor(item);
+    link.textContent = item.label;
+
+    // Hooks for scripts that highlight links (e.g. the homepage scroll-spy).
+    link.dataset.navPage = item.page;
+    if (item.hash) link.dataset.navSection = item.hash;
+
+    if (isCurrent(item)) {
+      link.classList.add("is-active");
+      link.setAttribute("aria-current", "page");
+    }
+
+    return link;
+  };
+
+  const render = (container, className, items = NAV) => {
+    if (!container) return;
+    container.replaceChildren(...items.map((item) => createLink(item, className)));
+  };
+
+  render(document.querySelector(".site-header__nav"), "nav-btn");
+  render(document.getElementById("mobileMenu"), "mobile-link");
+
+  document.querySelectorAll(".site-footer__nav").forEach((nav) => {
+    render(nav, "site-footer__link", NAV.filter((item) => item.footer));
+    nav.hidden = false;
+  });
+
+  // Logo / brand links always go home.
+  document
+    .querySelectorAll(".site-header__logo, .site-footer__brand")
+    .forEach((link) => {
+      link.href = hrefFor({ page: "" });
+    });
+})();
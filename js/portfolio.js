@@ -1,136 +1,44 @@
 /* =====================================================================
    portfolio.js — ACP Landscaping
    Purpose:
-   - Reusable portfolio gallery slider
-   - Supports previous / next buttons and dot navigation
-   - Designed for commercial.html and residential.html
+   - Auto-init entry for the portfolio gallery
+     (js/components/gallery.js): mounts every [data-gallery]
+     on the page
+   - Mounts the combined portfolio browser
+     (js/components/portfolio-browser.js, [data-portfolio-browser])
+   - Publishes window.ACP.gallery.init(root, options) so markup
+     inserted later can be mounted from classic scripts too
+
+   Usage:
+     <script src="/js/portfolio.js"></script>
+   (after js/compare.js, which before/after slides use). A classic
+   script that loads the modules with import(), like js/main.js.
 ===================================================================== */
 
 (function () {
   "use strict";
 
-  /* =========================================================
-     1) FIND ALL GALLERIES
-  ========================================================= */
-  const galleries = document.querySelectorAll("[data-gallery]");
+  // document.currentScript is null when loaded as a module.
+  const script =
+    document.currentScript || document.querySelector('script[src$="portfolio.js"]');
+  const base = new URL("components/", script?.src || window.location.href);
 
-  if (!galleries.length) return;
+  const load = (file) => import(new URL(`${file}.js`, base).href);
 
-  galleries.forEach((gallery) => {
-    const track = gallery.querySelector("[data-gallery-track]");
-    const prevBtn = gallery.querySelector("[data-gallery-prev]");
-    const nextBtn = gallery.querySelector("[data-gallery-next]");
-    const dotsWrap = gallery.querySelector("[data-gallery-dots]");
-    const slides = Array.from(track.children);
-    const dots = dotsWrap ? Array.from(dotsWrap.children) : [];
+  window.ACP = window.ACP || {};
 
-    if (!track || !slides.length) return;
+  Promise.all([load("gallery"), load("portfolio-browser")])
+    .then(([gallery, portfolioBrowser]) => {
+      window.ACP.gallery = { init: gallery.init };
 
-    let currentIndex = 0;
-
-    /* =========================================================
-       2) RENDER ACTIVE SLIDE
-    ========================================================= */
-    function renderGallery() {
-      track.style.transform = `translateX(-${currentIndex * 100}%)`;
-
-      slides.forEach((slide, index) => {
-        slide.classList.toggle("is-active", index === currentIndex);
-      });
-
-      dots.forEach((dot, index) => {
-        dot.classList.toggle("is-active", index === currentIndex);
-      });
-    }
-
-    /* =========================================================
-       3) PREVIOUS / NEXT CONTROLS
-    ========================================================= */
-    function goToPrevious() {
-      currentIndex = currentIndex === 0 ? slides.length - 1 : currentIndex - 1;
-      renderGallery();
-    }
-
-    function goToNext() {
-      currentIndex = currentIndex === slides.length - 1 ? 0 : currentIndex + 1;
-      renderGallery();
-    }
-
-    if (prevBtn) {
-      prevBtn.addEventListener("click", goToPrevious);
-    }
-
-    if (nextBtn) {
-      nextBtn.addEventListener("click", goToNext);
-    }
-
-    /* =========================================================
-       4) DOT NAVIGATION
-    ========================================================= */
-    dots.forEach((dot, index) => {
-      dot.addEventListener("click", () => {
-        currentIndex = index;
-        renderGallery();
-      });
-    });
-
-            /* =========================================================
-       5) TOUCH / SWIPE SUPPORT
-    ========================================================= */
-    let touchStartX = 0;
-    let touchStartY = 0;
-
-    gallery.addEventListener(
-      "touchstart",
-      (event) => {
-        touchStartX = event.touches[0].clientX;
-        touchStartY = event.touches[0].clientY;
-      },
-      { passive: true }
-    );
-
-    gallery.addEventListener(
-      "touchend",
-      (event) => {
-        const touchEndX = event.changedTouches[0].clientX;
-        const touchEndY = event.changedTouches[0].clientY;
-
-        const deltaX = touchEndX - touchStartX;
-        const deltaY = touchEndY - touchStartY;
-
-        /* Ignore mostly vertical gestures */
-        if (Math.abs(deltaY) > Math.abs(deltaX)) return;
-
-        /* Require meaningful swipe distance */
-        if (Math.abs(deltaX) < 50) return;
-
-        if (deltaX < 0) {
-          goToNext();
-        } else {
-          goToPrevious();
-        }
-      },
-      { passive: true }
-    );
-
-    /* =========================================================
-       6) KEYBOARD SUPPORT
-    ========================================================= */
-    gallery.addEventListener("keydown", (event) => {
-      if (event.key === "ArrowLeft") {
-        goToPrevious();
-      }
-
-      if (event.key === "ArrowRight") {
-        goToNext();
-      }
+      // Alongside main.js's handles (whichever finishes first).
+      window.ACP.components = {
+        ...window.ACP.components,
+        gallery: gallery.init(document),
+        portfolioBrowser: portfolioBrowser.init(document),
+      };
+    })
+    .catch((err) => {
+      console.error("[portfolio] could not load the gallery:", err);
     });
-
-    gallery.setAttribute("tabindex", "0");
-
-    /* =========================================================
-       7) INITIALIZE
-    ========================================================= */
-    renderGallery();
-  });
-})();
\ No newline at end of file
+})();
@@ -0,0 +1,266 @@
+/* =====================================================================
+   service-area.js — ACP Landscaping
+   Purpose:
+   - Single source for the towns / ZIP codes we service
+     (data/service-area.json)
+   - Renders the Locations list, landing page list and footer line
+   - "Are we in your area?" checker with fuzzy town matching
+
+   Structure:
+   1) Data loading
+   2) Matching (normalize, ZIP lookup, fuzzy town lookup)
+   3) Renderers (lists + footer line)
+   4) Area checker UI
+   5) Public API (window.ACP.serviceArea)
+
+   Notes:
+   - The hand-written lists stay in the HTML as a no-JS fallback and
+     are replaced once the data set loads.
+   - A "yes" result hands off to js/estimate.js through the
+     [data-estimate-open] / data-estimate-town hooks.
+===================================================================== */
+
+(function () {
+  "use strict";
+
+  /* =========================================================
+     1) DATA LOADING
+     Resolved relative to this script so it works for both
+     "/residential/" and "residential.html" style pages.
+  ========================================================= */
+  const DATA_URL = new URL(
+    "../data/service-area.json",
+    document.currentScript?.src || window.location.href
+  ).href;
+
+  const ready = fetch(DATA_URL)
+    .then((res) => {
+      if (!res.ok) throw new Error(`${res.status} loading ${DATA_URL}`);
+      return res.json();
+    })
+    .catch((err) => {
+      console.error("[service-area] could not load data set:", err);
+      return null;
+    });
+
+  /* =========================================================
+     2) MATCHING
+  ========================================================= */
+
+  // Lowercase, drop punctuation and trailing state ("hamburg, ny").
+  const normalize = (value) =>
+    String(value || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, " ")
+      .replace(/\b(ny|new york|town of|village of)\b/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+
+  /**
+   * Damerau-Levenshtein (optimal string alignment) distance.
+   * Transpositions count as one edit so "cheektwoaga" still matches.
+   */
+  const editDistance = (a, b) => {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = Array.from({ length: rows }, (_, i) => {
+      const row = new Array(cols).fill(0);
+      row[0] = i;
+      return row;
+    });
+    for (let j = 0; j < cols; j += 1) d[0][j] = j;
+
+    for (let i = 1; i < rows; i += 1) {
+      for (let j = 1; j < cols; j += 1) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(
+          d[i - 1][j] + 1,
+          d[i][j - 1] + 1,
+          d[i - 1][j - 1] + cost
+        );
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return d[a.length][b.length];
+  };
+
+  // Allowed typos scale with word length (short names must be near exact).
+  const maxTypos = (length) => (length <= 4 ? 0 : length <= 7 ? 1 : 2);
+
+  /**
+   * Looks up a town name or ZIP code.
+   * Returns { status: "yes" | "nearby" | "no", town, exact } or null
+   * for input that is too short to judge yet.
+   */
+  const check = (data, query) => {
+    const q = normalize(query);
+    if (!data || q.length < 3) return null;
+
+    // ZIP code: exact lookup only.
+    if (/^\d+$/.test(q)) {
+      if (q.length !== 5) return null;
+      const town = data.towns.find((t) => t.zips.includes(q));
+      return town
+        ? { status: town.status === "served" ? "yes" : "nearby", town, exact: true }
+        : { status: "no", town: null, exact: true };
+    }
+
+    let best = null;
+
+    data.towns.forEach((town) => {
+      [town.name, ...(town.aliases || [])].forEach((candidate) => {
+        const name = normalize(candidate);
+
+        // Typing in progress: "orch" already means Orchard Park.
+        const distance = name.startsWith(q) ? 0 : editDistance(q, name);
+
+        if (distance > maxTypos(name.length)) return;
+        if (!best || distance < best.distance) {
+          best = { town, distance, exact: name === q };
+        }
+      });
+    });
+
+    if (!best) return { status: "no", town: null, exact: false };
+
+    return {
+      status: best.town.status === "served" ? "yes" : "nearby",
+      town: best.town,
+      exact: best.exact,
+    };
+  };
+
+  /* =========================================================
+     3) RENDERERS
+  ========================================================= */
+  const servedTowns = (data) => data.towns.filter((t) => t.status === "served");
+
+  // "A, B & C"
+  const joinTowns = (names) =>
+    names.length > 1
+      ? `${names.slice(0, -1).join(", ")} & ${names[names.length - 1]}`
+      : names.join("");
+
+  const renderLists = (data) => {
+    const names = servedTowns(data).map((t) => t.name);
+
+    document.querySelectorAll(".locations__list").forEach((list) => {
+      list.innerHTML = "";
+      names.forEach((name) => {
+        const li = document.createElement("li");
+        li.className = "locations__item";
+        li.textContent = name;
+        list.appendChild(li);
+      });
+    });
+
+    document.querySelectorAll(".landing-area__list").forEach((list) => {
+      list.innerHTML = "";
+      names.forEach((name) => {
+        const span = document.createElement("span");
+        span.textContent = name;
+        list.appendChild(span);
+      });
+    });
+
+    const others = names.filter((name) => name !== data.base);
+    document.querySelectorAll(".site-footer__meta").forEach((meta) => {
+      meta.textContent = `${data.base}, ${data.state} • Serving ${joinTowns(others)}`;
+    });
+  };
+
+  /* =========================================================
+     4) AREA CHECKER UI
+     Markup (index.html #locations):
+       <form data-area-check hidden>
+         <input data-area-input />
+         <div data-area-result aria-live="polite"></div>
+       </form>
+  ========================================================= */
+  const MESSAGES = {
+    yes: (town) => `Yes — we service ${town.name}.`,
+    nearby: (town) =>
+      `${town.name} is just outside our usual area. Call us at (716) 449-3792 and we’ll see what we can do.`,
+    no: () =>
+      "Sorry, that looks outside our service area. Call (716) 449-3792 if you’re close by.",
+  };
+
+  const initChecker = (form, data) => {
+    const input = form.querySelector("[data-area-input]");
+    const result = form.querySelector("[data-area-result]");
+    if (!input || !result) return;
+
+    // Existing page CTA picks up the matched town as well.
+    const pageCta = document.querySelector(".locations__cta");
+
+    const render = () => {
+      const answer = check(data, input.value);
+
+      result.className = "area-check__result";
+      result.innerHTML = "";
+      if (pageCta) delete pageCta.dataset.estimateTown;
+
+      if (!answer) return;
+
+      result.classList.add(`is-${answer.status}`);
+
+      const text = document.createElement("p");
+      text.className = "area-check__text";
+      text.textContent = answer.town
+        ? MESSAGES[answer.status](answer.town)
+        : MESSAGES.no();
+      result.appendChild(text);
+
+      if (answer.town && !answer.exact && /^\D/.test(input.value.trim())) {
+        const hint = document.createElement("p");
+        hint.className = "area-check__hint";
+        hint.textContent = `Showing results for “${answer.town.name}”.`;
+        result.appendChild(hint);
+      }
+
+      if (answer.status === "yes") {
+        const cta = document.createElement("button");
+        cta.type = "button";
+        cta.className = "area-check__cta";
+        cta.setAttribute("data-estimate-open", "");
+        cta.dataset.estimateTown = answer.town.name;
+        cta.textContent = `Get an Estimate in ${answer.town.name}`;
+        result.appendChild(cta);
+
+        if (pageCta) pageCta.dataset.estimateTown = answer.town.name;
+      }
+    };
+
+    input.addEventListener("input", render);
+
+    // Enter hands straight off to the estimate when the answer is yes.
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      render();
+      result.querySelector(".area-check__cta")?.click();
+    });
+
+    form.hidden = false;
+  };
+
+  /* =========================================================
+     5) INIT + PUBLIC API
+  ========================================================= */
+  ready.then((data) => {
+    if (!data) return;
+
+    renderLists(data);
+    document
+      .querySelectorAll("[data-area-check]")
+      .forEach((form) => initChecker(form, data));
+  });
+
+  window.ACP = window.ACP || {};
+  window.ACP.serviceArea = {
+    ready,
+    check: (query) => ready.then((data) => check(data, query)),
+  };
+})();
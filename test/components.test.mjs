@@ -0,0 +1,133 @@
+/* =====================================================================
+   test/components.test.mjs — ACP Landscaping
+   Component lifecycle check (jsdom)
+
+   - Mounts components into markup inserted after page load, the
+     way js/main.js and js/portfolio.js can't, and checks that
+     destroy() leaves nothing wired up
+   - No build step: Node's built-in runner plus jsdom
+     (package.json devDependencies); CI runs it on every push
+       npm install
+       npm test
+===================================================================== */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+
+const dom = new JSDOM("<!doctype html><body></body>", {
+  url: "http://localhost/residential/",
+  pretendToBeVisual: true,
+});
+
+// Components expect browser globals.
+[
+  "document",
+  "history",
+  "location",
+  "HTMLElement",
+  "Node",
+  "Event",
+  "CustomEvent",
+  "KeyboardEvent",
+  "AbortController",
+  "getComputedStyle",
+  "requestAnimationFrame",
+  "cancelAnimationFrame",
+].forEach((name) => {
+  globalThis[name] = dom.window[name];
+});
+globalThis.window = dom.window;
+
+// jsdom has no layout; a gallery restoring its slide from the hash scrolls.
+dom.window.HTMLElement.prototype.scrollIntoView = () => {};
+
+const { document } = dom.window;
+
+const gallery = await import("../js/components/gallery.js");
+const reveal = await import("../js/components/reveal.js");
+
+const galleryMarkup = `
+  <div class="portfolio-gallery" id="test-gallery" data-gallery aria-label="Test gallery">
+    <button type="button" data-gallery-prev aria-label="Previous image">‹</button>
+    <div class="portfolio-gallery__viewport">
+      <div class="portfolio-gallery__track" data-gallery-track>
+        <figure class="portfolio-gallery__slide is-active"><img src="/images/a.jpg" alt="A" /></figure>
+        <figure class="portfolio-gallery__slide"><img src="/images/b.jpg" alt="B" /></figure>
+        <figure class="portfolio-gallery__slide"><img src="/images/c.jpg" alt="C" /></figure>
+      </div>
+    </div>
+    <button type="button" data-gallery-next aria-label="Next image">›</button>
+    <div class="portfolio-gallery__dots" data-gallery-dots></div>
+  </div>`;
+
+const insert = (html) => {
+  const container = document.createElement("div");
+  container.innerHTML = html;
+  document.body.appendChild(container);
+  return container;
+};
+
+const activeIndex = (container) =>
+  Array.from(container.querySelectorAll(".portfolio-gallery__slide")).findIndex((slide) =>
+    slide.classList.contains("is-active")
+  );
+
+test("gallery mounts into markup inserted later", () => {
+  const container = insert(galleryMarkup);
+  const handle = gallery.init(container);
+
+  assert.equal(container.querySelector("[data-gallery]").getAttribute("aria-roledescription"), "carousel");
+
+  container.querySelector("[data-gallery-next]").click();
+  assert.equal(activeIndex(container), 1);
+
+  handle.destroy();
+  container.remove();
+});
+
+test("gallery destroy() unwires its controls", () => {
+  const container = insert(galleryMarkup);
+  const handle = gallery.init(container);
+
+  handle.destroy();
+  const before = activeIndex(container);
+  container.querySelector("[data-gallery-next]").click();
+  assert.equal(activeIndex(container), before);
+
+  // Calling it twice is safe.
+  handle.destroy();
+  container.remove();
+});
+
+test("reveal observes only its root and disconnects on destroy()", () => {
+  const observed = [];
+  let disconnected = false;
+
+  globalThis.IntersectionObserver = window.IntersectionObserver = class {
+    observe(el) {
+      observed.push(el);
+    }
+    disconnect() {
+      disconnected = true;
+    }
+  };
+
+  insert('<p data-reveal id="outside"></p>');
+  const container = insert('<p data-reveal id="inside"></p>');
+
+  const handle = reveal.init(container);
+  assert.deepEqual(observed.map((el) => el.id), ["inside"]);
+
+  handle.destroy();
+  assert.ok(disconnected);
+
+  delete window.IntersectionObserver;
+  delete globalThis.IntersectionObserver;
+});
+
+test("components with nothing to mount return a handle anyway", () => {
+  const handle = gallery.init(insert("<p>No gallery here</p>"));
+  assert.equal(typeof handle.destroy, "function");
+  handle.destroy();
+});
@@ -0,0 +1,64 @@
+/* =====================================================================
+   test/estimate-handoff.test.mjs — ACP Landscaping
+   Service-area "yes" -> estimate wizard hand-off (jsdom)
+
+   - Runs the classic scripts (js/service-area.js, js/estimate.js)
+     the way the pages load them, with the page's data-endpoint
+   - Checks that a matched town opens the wizard with the town
+     filled in, instead of leaving for the Google Form
+===================================================================== */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { JSDOM } from "jsdom";
+
+const read = (path) => readFile(new URL(`../${path}`, import.meta.url), "utf8");
+
+const dom = new JSDOM(
+  `<!doctype html><body>
+    <form class="area-check" data-area-check hidden>
+      <input id="areaCheckInput" type="text" data-area-input />
+      <div data-area-result aria-live="polite"></div>
+    </form>
+    <script src="/js/estimate.js" data-endpoint="/api/estimate"></script>
+  </body>`,
+  { url: "http://localhost/", runScripts: "outside-only", pretendToBeVisual: true }
+);
+
+const { window } = dom;
+const { document } = window;
+
+const serviceArea = JSON.parse(await read("data/service-area.json"));
+window.fetch = async () => ({ ok: true, status: 200, json: async () => serviceArea });
+
+// Classic scripts read their settings from document.currentScript.
+const run = async (path, script = null) => {
+  Object.defineProperty(document, "currentScript", {
+    configurable: true,
+    get: () => script,
+  });
+  window.eval(await read(path));
+  delete document.currentScript;
+};
+
+await run("js/estimate.js", document.querySelector('script[src$="estimate.js"]'));
+await run("js/service-area.js");
+await window.ACP.serviceArea.ready;
+
+test("a matched town opens the wizard with the town filled in", () => {
+  assert.equal(window.ACP.estimate.mode, "endpoint");
+
+  const input = document.querySelector("[data-area-input]");
+  input.value = "Hamburg";
+  input.dispatchEvent(new window.Event("input", { bubbles: true }));
+
+  const cta = document.querySelector(".area-check__cta");
+  assert.ok(cta, "yes result renders an estimate button");
+  cta.click();
+
+  // In "link" mode there is no wizard: the Form would open instead.
+  const modal = document.querySelector(".estimate");
+  assert.ok(modal && !modal.hidden, "wizard is open");
+  assert.equal(document.querySelector("#estimate-town").value, "Hamburg");
+});